@@ -0,0 +1,230 @@
+// Computer players for the Monochrome engine: strategies that choose a move for the hand on the
+// table, a helper that plays it, and a simulator that plays whole games to compare strategies.
+// In the browser it is the global MonochromeBot; in Node, require('./bot.js').
+//
+//   const move = MonochromeBot.chooseMove(game, 'hard'); // { type: 'declare' | 'discard' | 'end', ..., reason }
+//   MonochromeBot.playMove(game, move);
+//   MonochromeBot.simulate({ games: 20 });             // average scores per strategy
+(function(root, factory){
+    if (typeof module === 'object' && module.exports) module.exports = factory(require('./engine.js'));
+    else root.MonochromeBot = factory(root.MonochromeEngine);
+})(typeof self !== 'undefined' ? self : this, function(engine){
+    // every k-element subset of list, in order
+    function subsets(list, k){
+        if (k === 0) return [[]];
+        if (list.length < k) return [];
+        const [first, ...rest] = list;
+        return subsets(rest, k - 1).map(s => [first].concat(s)).concat(subsets(rest, k));
+    }
+
+    // every collection among the cards ({ id, swatch }): [{ ids, rule }]
+    function setsIn(game, cards){
+        const sizes = Array.from(new Set(game.palette.rules.map(r => r.size)));
+        const found = [];
+        sizes.forEach(k => subsets(cards, k).forEach(subset => {
+            const rule = game.matchCollection(subset.map(c => c.swatch));
+            if (rule) found.push({ ids: subset.map(c => c.id), rule });
+        }));
+        return found;
+    }
+
+    // the set worth most points (the higher-priority rule on a tie), or null
+    function bestSet(game, cards){
+        return setsIn(game, cards).reduce((best, set) => {
+            if (!best || set.rule.points > best.rule.points) return set;
+            return set.rule.points === best.rule.points && set.rule.priority < best.rule.priority ? set : best;
+        }, null);
+    }
+
+    // how many other cards in hand share a card's hue (greys count as one family) or its value
+    // level; an empty card has none and is always the first to go
+    function links(game, cards, card){
+        if (!card.swatch) return -1;
+        const a = game.describeSwatch(card.swatch);
+        return cards.filter(c => c !== card && c.swatch).filter(c => {
+            const b = game.describeSwatch(c.swatch);
+            return (a.isNeutral ? b.isNeutral : a.hueIndex === b.hueIndex) || a.level === b.level;
+        }).length;
+    }
+
+    // the card with the fewest links to the rest of the hand
+    function loneliest(game, cards){
+        return cards.reduce((worst, c) => (links(game, cards, c) < links(game, cards, worst) ? c : worst));
+    }
+
+    // The discard for a hand with nothing to aim at: the card with the fewest links. Linked cards
+    // are never let go that way, so every (hand size + 1)th discard goes round the hand instead and
+    // a hopeless hand can't hold the game up for ever.
+    function aimlessDiscard(game, st, hand){
+        const count = st.players[st.currentPlayer].discardCount;
+        if (count % (hand.length + 1) === hand.length) {
+            const card = hand[Math.floor(count / (hand.length + 1)) % hand.length];
+            return discardMove(card, `the hand hasn't changed much lately: ${card.swatch ? card.swatch.label : 'the empty card'} goes in turn.`);
+        }
+        const card = loneliest(game, hand);
+        return discardMove(card, card.swatch
+            ? `${card.swatch.label} shares a hue or value with the fewest other cards (${links(game, hand, card)}), so it goes.`
+            : 'it fills the empty card.');
+    }
+
+    const plural = (n, one, many = `${one}s`) => `${n} ${n === 1 ? one : many}`;
+
+    function declareMove(set, reason){
+        return { type: 'declare', ids: set.ids, name: set.rule.name, points: set.rule.points, reason };
+    }
+    function discardMove(card, reason){
+        return { type: 'discard', id: card.id, swatch: card.swatch, reason };
+    }
+    const endMove = reason => ({ type: 'end', reason });
+
+    // Strategies. choose(game, state, hand) returns a move, with a reason in plain words so the
+    // page can show the player what the computer was thinking; null when it can do nothing.
+    const STRATEGIES = {
+        // Easy: greedy on the hand alone. It declares the best set in hand as soon as it has one,
+        // and otherwise throws away the card that matches the rest of the hand least.
+        easy: {
+            name: 'Easy',
+            description: 'Takes the best set in hand straight away; otherwise discards the card that matches the rest of the hand least.',
+            choose(game, st, hand){
+                const cards = hand.filter(c => c.swatch);
+                const best = bestSet(game, cards);
+                if (best) return declareMove(best, `${best.rule.name} is in hand for ${plural(best.rule.points, 'point')}, so it takes it.`);
+                if (canDiscard(st)) {
+                    const move = aimlessDiscard(game, st, hand);
+                    return Object.assign(move, { reason: `No set in hand: ${move.reason}` });
+                }
+                return st.turnRules.enabled ? endMove('No set in hand and no discard left, so the turn ends.') : null;
+            }
+        },
+        // Hard: one draw of lookahead. For each card it works out the points the hand is expected
+        // to hold after discarding it, averaged over every swatch that could be drawn (the pool, or
+        // the discard pile once the pool has run dry), and compares the best of those with
+        // declaring now. When no single draw can make a set it falls back on the easy discard.
+        hard: {
+            name: 'Hard',
+            description: 'Weighs declaring now against the expected value of each discard over every swatch still left to draw.',
+            choose(game, st, hand){
+                const cards = hand.filter(c => c.swatch);
+                const now = bestSet(game, cards);
+                const source = st.pool.length ? st.pool : st.discardedPool;
+                let pick = null;
+                if (canDiscard(st)) {
+                    const sizes = Array.from(new Set(game.palette.rules.map(r => r.size)));
+                    hand.forEach(card => {
+                        const others = cards.filter(c => c !== card);
+                        // the drawn swatch can only add sets it is part of
+                        const kept = bestSet(game, others);
+                        const partners = [].concat(...sizes.map(k => subsets(others, k - 1)));
+                        const total = source.reduce((sum, sw) => {
+                            let points = kept ? kept.rule.points : 0;
+                            partners.forEach(subset => {
+                                const rule = game.matchCollection(subset.map(c => c.swatch).concat([sw]));
+                                if (rule && rule.points > points) points = rule.points;
+                            });
+                            return sum + points;
+                        }, 0);
+                        const expected = total / source.length;
+                        // equal prospects: the card with the fewest links to the rest goes
+                        if (!pick || expected > pick.expected
+                            || (expected === pick.expected && links(game, hand, card) < links(game, hand, pick.card))) pick = { card, expected };
+                    });
+                }
+                const expected = pick ? pick.expected.toFixed(1) : '0';
+                if (now && (!pick || now.rule.points >= pick.expected)) {
+                    return declareMove(now, pick
+                        ? `${now.rule.name} scores ${plural(now.rule.points, 'point')} now; the best discard would leave a hand worth ${expected} on average.`
+                        : `${now.rule.name} scores ${plural(now.rule.points, 'point')}, and there is no discard to wait for.`);
+                }
+                if (pick && pick.expected === 0) {
+                    const move = aimlessDiscard(game, st, hand);
+                    return Object.assign(move, { reason: `No draw can make a set with this hand: ${move.reason}` });
+                }
+                if (pick) {
+                    return discardMove(pick.card, `Over the ${plural(source.length, 'swatch', 'swatches')} left to draw, the hand is then worth ${expected} points on average${now ? `, more than the ${now.rule.points} of ${now.rule.name} now` : ''}.`);
+                }
+                return st.turnRules.enabled ? endMove('No set in hand and no discard left, so the turn ends.') : null;
+            }
+        }
+    };
+
+    // the turn rules allow a discard and there is something to draw
+    function canDiscard(st){
+        return st.canDiscard && st.pool.length + st.discardedPool.length > 0;
+    }
+
+    // the move the strategy makes for the hand on the table, or null when it has none (or no hand
+    // is on show, or the game is paused)
+    function chooseMove(game, strategy){
+        const st = game.getState();
+        const s = Object.prototype.hasOwnProperty.call(STRATEGIES, strategy) ? STRATEGIES[strategy] : null;
+        if (!s || st.gameOver || st.awaitingPlayer || st.paused || !st.players.length) return null;
+        return s.choose(game, st, st.players[st.currentPlayer].hand);
+    }
+
+    // play a move from chooseMove(): a declaration ticks exactly its cards first. Returns whether
+    // the game took it.
+    function playMove(game, move){
+        if (!move) return false;
+        if (move.type === 'declare') {
+            const st = game.getState();
+            st.players[st.currentPlayer].hand.forEach(c => { if (c.swatch) game.toggleCollect(c.id, move.ids.includes(c.id)); });
+            return game.declare() !== null;
+        }
+        if (move.type === 'discard') return game.discard(move.id) !== null;
+        return game.endTurn();
+    }
+
+    // Simulation: a strategy plays solo games with the given settings ({ geometry, palette,
+    // handSize, challenge }). MAX_MOVES stops a game that goes round in circles.
+    const MAX_MOVES = 2000;
+
+    function simulateGame(strategy, seed, settings){
+        const game = engine.createGame(Object.assign({}, settings, { players: 1, bots: [strategy] }));
+        game.newGame({ seed });
+        let moves = 0;
+        while (moves < MAX_MOVES && playMove(game, chooseMove(game, strategy))) moves++;
+        const st = game.getState();
+        return {
+            seed,
+            finished: st.gameOver,
+            score: st.players[0].score,
+            sets: st.collected.length,
+            discards: st.players[0].discardCount,
+            moves
+        };
+    }
+
+    // the per-strategy summary of simulateGame() results
+    function summarize(strategy, results){
+        const scores = results.map(r => r.score);
+        const mean = list => (list.length ? list.reduce((a, b) => a + b, 0) / list.length : 0);
+        return {
+            strategy,
+            name: STRATEGIES[strategy].name,
+            games: results.length,
+            finished: results.filter(r => r.finished).length,
+            average: mean(scores),
+            best: results.length ? Math.max(...scores) : 0,
+            worst: results.length ? Math.min(...scores) : 0,
+            sets: mean(results.map(r => r.sets)),
+            discards: mean(results.map(r => r.discards))
+        };
+    }
+
+    // Play `games` games with each strategy on the same seeded deals and summarize them
+    function simulate(options){
+        const { games = 20, strategies = Object.keys(STRATEGIES), seed = 'simulate', settings = {} } = options || {};
+        return strategies.map(strategy => summarize(strategy,
+            Array.from({ length: games }, (_, i) => simulateGame(strategy, `${seed}-${i + 1}`, settings))));
+    }
+
+    return {
+        STRATEGIES,
+        chooseMove,
+        playMove,
+        simulateGame,
+        summarize,
+        simulate,
+        MAX_MOVES
+    };
+});
@@ -0,0 +1,1478 @@
+// Monochrome game engine: the palette, the collection rules, the pools, hands, turns and scores,
+// with no DOM and no storage. The page (script.js) renders a game from it, and bots, other UIs and
+// the Node tests play through the same calls, so they all follow the rules the page uses.
+// In the browser it is the global MonochromeEngine; in Node, require('./engine.js').
+//
+//   const game = MonochromeEngine.createGame({ handSize: 5 });
+//   game.on('change', () => render(game.getState()));
+//   game.newGame({ seed: 'demo' });
+//   game.toggleCollect('card-1'); game.toggleCollect('card-3');
+//   game.declare();      // the collected entry, or null if the ticked cards form no collection
+//   game.discard('card-2');
+(function(root, factory){
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.MonochromeEngine = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+    // Convert HSL to RGB (returns [r,g,b])
+    function hslToRgb(h, s, l){
+        s /= 100;
+        l /= 100;
+        const k = n => (n + h/30) % 12;
+        const a = s * Math.min(l, 1 - l);
+        const f = n => l - a * Math.max(-1, Math.min(k(n) - 3, Math.min(9 - k(n), 1)));
+        return [Math.round(255 * f(0)), Math.round(255 * f(8)), Math.round(255 * f(4))];
+    }
+
+    // Format rgb array to CSS rgb(...) string
+    function rgbString([r,g,b]){
+        return `rgb(${r}, ${g}, ${b})`;
+    }
+
+    // sRGB transfer function: encoded channel (0..1) <-> linear light
+    function srgbToLinear(c){ return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4); }
+    function linearToSrgb(c){ return c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055; }
+
+    // OKLab (Björn Ottosson) <-> linear sRGB
+    function oklabToLinear(L, a, b){
+        const l = (L + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+        const m = (L - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+        const s = (L - 0.0894841775 * a - 1.2914855480 * b) ** 3;
+        return [
+            4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+            -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+            -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+        ];
+    }
+    function linearToOklab(r, g, b){
+        const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+        const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+        const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+        return [
+            0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+            1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+            0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+        ];
+    }
+
+    // CIELAB (D65 white) <-> linear sRGB, by way of XYZ
+    const D65 = [0.95047, 1, 1.08883];
+    function labToLinear(L, a, b){
+        const fy = (L + 16) / 116;
+        const inv = t => (t > 6 / 29 ? t ** 3 : 3 * (6 / 29) ** 2 * (t - 4 / 29));
+        const x = inv(fy + a / 500) * D65[0], y = inv(fy) * D65[1], z = inv(fy - b / 200) * D65[2];
+        return [
+            3.2404542 * x - 1.5371385 * y - 0.4985314 * z,
+            -0.9692660 * x + 1.8760108 * y + 0.0415560 * z,
+            0.0556434 * x - 0.2040259 * y + 1.0572252 * z
+        ];
+    }
+    function linearToLab(r, g, b){
+        const f = t => (t > (6 / 29) ** 3 ? Math.cbrt(t) : t / (3 * (6 / 29) ** 2) + 4 / 29);
+        const fx = f((0.4124564 * r + 0.3575761 * g + 0.1804375 * b) / D65[0]);
+        const fy = f((0.2126729 * r + 0.7151522 * g + 0.0721750 * b) / D65[1]);
+        const fz = f((0.0193339 * r + 0.1191920 * g + 0.9503041 * b) / D65[2]);
+        return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+    }
+
+    // Perceptual colour spaces for the palette: how the geometry's lightness % maps onto the space's
+    // lightness, and the chroma that 100% saturation asks for (gamut clipping usually trims it)
+    const COLOR_SPACES = {
+        oklch: { toLinear: oklabToLinear, fromLinear: linearToOklab, lightness: l => l / 100, chroma: 0.25 },
+        lab: { toLinear: labToLinear, fromLinear: linearToLab, lightness: l => l, chroma: 100 }
+    };
+
+    // LCh -> sRGB [r,g,b] with gamut clipping: the lightness and hue are kept and the chroma is
+    // reduced (binary search) until the colour fits in sRGB
+    function lchToRgb(space, L, C, hDeg){
+        const sp = COLOR_SPACES[space];
+        const h = hDeg * Math.PI / 180;
+        const at = c => sp.toLinear(L, c * Math.cos(h), c * Math.sin(h));
+        const inGamut = rgb => rgb.every(v => v >= -1e-6 && v <= 1 + 1e-6);
+        let rgb = at(C);
+        if (!inGamut(rgb)) {
+            let lo = 0, hi = C;
+            for (let i = 0; i < 24; i++) {
+                const mid = (lo + hi) / 2;
+                if (inGamut(at(mid))) lo = mid; else hi = mid;
+            }
+            rgb = at(lo);
+        }
+        return rgb.map(v => Math.round(255 * linearToSrgb(Math.min(1, Math.max(0, v)))));
+    }
+
+    // The hue angle, in a perceptual space, of the fully saturated HSL hue at hDeg. Wheel positions
+    // stay where the HSL wheel puts them, so a hue keeps its name and glyph in every colour space.
+    function perceptualHue(space, hDeg){
+        const [r, g, b] = hslToRgb(hDeg, 100, 50).map(v => srgbToLinear(v / 255));
+        const [, a, bb] = COLOR_SPACES[space].fromLinear(r, g, b);
+        return (Math.atan2(bb, a) * 180 / Math.PI + 360) % 360;
+    }
+
+    // sRGB [r,g,b] of a palette swatch built in the given colour space; hue === null is a neutral
+    function swatchRgb(space, hue, saturation, lightness){
+        const sp = COLOR_SPACES[space];
+        if (!sp) {
+            if (hue !== null) return hslToRgb(hue, saturation, lightness);
+            const gray = Math.round((lightness / 100) * 255);
+            return [gray, gray, gray];
+        }
+        if (hue === null) return lchToRgb(space, sp.lightness(lightness), 0, 0);
+        return lchToRgb(space, sp.lightness(lightness), sp.chroma * saturation / 100, perceptualHue(space, hue));
+    }
+
+    // WCAG 2 relative luminance of an sRGB colour [r,g,b] (0..255) and the contrast ratio of two luminances
+    function relativeLuminance([r, g, b]){
+        const [R, G, B] = [r, g, b].map(v => srgbToLinear(v / 255));
+        return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+    }
+    function contrastRatio(l1, l2){
+        return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+    }
+
+    // label text colour for a swatch: black or white, whichever has the higher WCAG contrast against it
+    function labelColourFor(color){
+        const parts = color.match(/(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/);
+        if (!parts) return '';
+        const lum = relativeLuminance([+parts[1], +parts[2], +parts[3]]);
+        return contrastRatio(lum, 0) >= contrastRatio(lum, 1) ? '#000' : '#fff';
+    }
+
+    // Secure random integer in [0, max)
+    function secureRandInt(max){
+        if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+            const range = max;
+            if (range <= 0) return 0;
+            const x = new Uint32Array(1);
+            const maxUint = 0xffffffff;
+            const limit = Math.floor((maxUint + 1) / range) * range;
+            let r;
+            do {
+                crypto.getRandomValues(x);
+                r = x[0];
+            } while (r >= limit);
+            return r % range;
+        }
+        return Math.floor(Math.random() * max);
+    }
+
+    // hash a seed string (xmur3) into a 32-bit PRNG state
+    function hashSeed(seed){
+        let h = 1779033703 ^ seed.length;
+        for (let i = 0; i < seed.length; i++) {
+            h = Math.imul(h ^ seed.charCodeAt(i), 3432918353);
+            h = h << 13 | h >>> 19;
+        }
+        h = Math.imul(h ^ (h >>> 16), 2246822507);
+        h = Math.imul(h ^ (h >>> 13), 3266489909);
+        return (h ^= h >>> 16) >>> 0;
+    }
+
+    // Palette geometry: the number of hues around the wheel, the number of value levels, the
+    // saturation and the colour space the grid is built in (HSL, or OKLCH / CIELAB so that each value
+    // level has the same perceived lightness across the hues). The default is 12 hues at 30° steps ×
+    // 5 levels + 5 neutrals = 65 swatches; the settings panel offers harder and easier variants.
+    // Everything below is derived from it.
+    const HUE_COUNTS = [8, 12, 24];
+    const MIN_LEVELS = 3;
+    const MAX_LEVELS = 7;
+    const GEOMETRY_SPACES = ['hsl', 'oklch', 'lab'];
+    const DEFAULT_GEOMETRY = { hueCount: 12, levelCount: 5, saturation: 80, colorSpace: 'hsl' };
+    // clamp untrusted settings (storage, form, saved games) to a geometry the game supports
+    function normalizeGeometry(g){
+        g = g || {};
+        const hueCount = HUE_COUNTS.includes(+g.hueCount) ? +g.hueCount : DEFAULT_GEOMETRY.hueCount;
+        const levelCount = Number.isInteger(+g.levelCount) && +g.levelCount >= MIN_LEVELS && +g.levelCount <= MAX_LEVELS
+            ? +g.levelCount : DEFAULT_GEOMETRY.levelCount;
+        const saturation = Number.isFinite(+g.saturation) ? Math.min(100, Math.max(20, Math.round(+g.saturation))) : DEFAULT_GEOMETRY.saturation;
+        const colorSpace = GEOMETRY_SPACES.includes(g.colorSpace) ? g.colorSpace : DEFAULT_GEOMETRY.colorSpace;
+        return { hueCount, levelCount, saturation, colorSpace };
+    }
+
+    // Custom palettes: a team can play with its own colours, loaded from a JSON file, instead of the
+    // generated wheel. The hue families go round the wheel in file order (neighbours count as
+    // analogous, the family half-way round as the complement), each with one colour per value
+    // level, lightest first; the neutrals run lightest first too.
+    //   { "format": "monochrome-palette", "version": 1, "name": "Brand",
+    //     "hues": [{ "name": "Ocean", "values": ["#e6f2ff", "#99c2ff", ...] }, ...],
+    //     "neutrals": ["#ffffff", ..., "#000000"] }
+    // A value is a hex or rgb() colour, or { "color": ..., "label": ... } to give it its own label.
+    // While one is loaded it replaces the geometry's hue count, levels, saturation and colour space.
+    const PALETTE_FORMAT = 'monochrome-palette';
+    const PALETTE_VERSION = 1;
+    const MIN_CUSTOM_HUES = 6;
+    const MAX_CUSTOM_HUES = 24;
+
+    // parse a hex (#rgb / #rrggbb) or rgb() colour into [r,g,b], or null
+    function parseColour(value){
+        if (typeof value !== 'string') return null;
+        const v = value.trim();
+        let m = v.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+        if (m) {
+            const hex = m[1].length === 3 ? m[1].replace(/./g, c => c + c) : m[1];
+            return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+        }
+        m = v.match(/^rgb\(\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})\s*\)$/i);
+        if (m && [m[1], m[2], m[3]].every(c => +c <= 255)) return [+m[1], +m[2], +m[3]];
+        return null;
+    }
+
+    function rgbToHex(color){
+        const rgb = parseColour(color);
+        return rgb ? '#' + rgb.map(c => c.toString(16).padStart(2, '0')).join('') : color;
+    }
+
+    // Check an imported palette and bring it to the form buildPalette() uses:
+    // { name, hues: [{ name, values: [{ color, label }] }], neutrals: [{ color, label }] } with
+    // rgb() colours and every label filled in. Throws an Error saying what is wrong.
+    function validatePalette(data){
+        if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('The file is not a palette object.');
+        if (data.format !== undefined && data.format !== PALETTE_FORMAT) throw new Error(`Unknown format "${data.format}".`);
+        if (data.version !== undefined && data.version !== PALETTE_VERSION) throw new Error(`Unsupported palette version ${data.version}.`);
+        if (!Array.isArray(data.hues) || !Array.isArray(data.neutrals)) throw new Error('A palette needs "hues" and "neutrals" lists.');
+        const H = data.hues.length;
+        const L = data.neutrals.length;
+        // the collection rules need complements (an even wheel) and at least three value levels
+        if (H < MIN_CUSTOM_HUES || H > MAX_CUSTOM_HUES || H % 2) throw new Error(`Use an even number of hue families from ${MIN_CUSTOM_HUES} to ${MAX_CUSTOM_HUES} (found ${H}).`);
+        if (L < MIN_LEVELS || L > MAX_LEVELS) throw new Error(`Use ${MIN_LEVELS} to ${MAX_LEVELS} value levels (found ${L} neutrals).`);
+        const seen = new Set();
+        function entry(value, where, fallbackLabel){
+            const raw = value && typeof value === 'object' ? value.color : value;
+            const rgb = parseColour(raw);
+            if (!rgb) throw new Error(`${where}: "${raw}" is not a hex or rgb() colour.`);
+            const color = rgbString(rgb);
+            if (seen.has(color)) throw new Error(`${where}: ${raw} appears more than once.`);
+            seen.add(color);
+            const label = value && typeof value === 'object' && typeof value.label === 'string' && value.label.trim()
+                ? value.label.trim() : fallbackLabel;
+            return { color, label };
+        }
+        const names = new Set();
+        const hueFamilies = data.hues.map((family, hi) => {
+            const name = family && typeof family.name === 'string' && family.name.trim() ? family.name.trim() : `Hue ${hi + 1}`;
+            if (names.has(name)) throw new Error(`Hue family "${name}" appears more than once.`);
+            names.add(name);
+            if (!family || !Array.isArray(family.values) || family.values.length !== L) {
+                throw new Error(`Hue family "${name}" needs ${L} values, one per level (as many as there are neutrals).`);
+            }
+            return { name, values: family.values.map((v, li) => entry(v, `${name} V${li + 1}`, `${name} · V${li + 1}`)) };
+        });
+        const neutrals = data.neutrals.map((v, ni) => entry(v, `Neutral V${ni + 1}`, `Neutral · V${ni + 1}`));
+        const name = typeof data.name === 'string' && data.name.trim() ? data.name.trim().slice(0, 60) : 'Custom palette';
+        return { name, hues: hueFamilies, neutrals };
+    }
+
+    // total swatches: every hue at every level, plus one neutral per level
+    function swatchCount(g, palette){
+        return palette ? (palette.hues.length + 1) * palette.neutrals.length : (g.hueCount + 1) * g.levelCount;
+    }
+
+    // Friendly hue names by angle. The 30° steps are the classic 12-hue wheel; the 15° steps
+    // in between name the extra hues of the 24-hue wheel (and the 8-hue wheel's 45° steps).
+    const HUE_NAMES = {
+        0: 'Red-Orange', 15: 'Orange', 30: 'Yellow-Orange', 45: 'Amber',
+        60: 'Yellow', 75: 'Lime', 90: 'Yellow-Green', 105: 'Leaf Green',
+        120: 'Green', 135: 'Emerald', 150: 'Blue-Green', 165: 'Teal',
+        180: 'Cyan', 195: 'Sky Blue', 210: 'Blue', 225: 'Cobalt',
+        240: 'Blue-Violet', 255: 'Indigo', 270: 'Violet', 285: 'Purple',
+        300: 'Magenta', 315: 'Fuchsia', 330: 'Red', 345: 'Crimson'
+    };
+
+    // Challenge mode: an optional turn structure with a limited discard budget, either for the whole
+    // game or refilled every turn. Declaring a collection either ends the turn or refunds the
+    // discards spent so far this turn. Off by default (unlimited discards, no turns).
+    const DEFAULT_CHALLENGE = { enabled: false, budget: 3, scope: 'turn', onDeclare: 'end-turn' };
+    function normalizeChallenge(c){
+        c = c || {};
+        const budget = Number.isInteger(+c.budget) && +c.budget >= 1 && +c.budget <= 30 ? +c.budget : DEFAULT_CHALLENGE.budget;
+        return {
+            enabled: !!c.enabled,
+            budget,
+            scope: c.scope === 'game' ? 'game' : 'turn',
+            onDeclare: c.onDeclare === 'refund' ? 'refund' : 'end-turn'
+        };
+    }
+
+    // Timed modes, both off by default. Time Attack ends the game once `minutes` of play have
+    // passed; the turn clock discards a random card for a player who takes longer than
+    // `turnSeconds` over a move (and ends their turn when there are turns). Paused time doesn't count.
+    const DEFAULT_TIMER = { attack: false, minutes: 5, turnClock: false, turnSeconds: 30 };
+    function normalizeTimer(t){
+        t = t || {};
+        const minutes = Number.isInteger(+t.minutes) && +t.minutes >= 1 && +t.minutes <= 30 ? +t.minutes : DEFAULT_TIMER.minutes;
+        const turnSeconds = Number.isInteger(+t.turnSeconds) && +t.turnSeconds >= 5 && +t.turnSeconds <= 120 ? +t.turnSeconds : DEFAULT_TIMER.turnSeconds;
+        return { attack: !!t.attack, minutes, turnClock: !!t.turnClock, turnSeconds };
+    }
+
+    // Hot-seat play: 2..4 players share the pool and discard pile but each keeps their own hand,
+    // collected sets and score. Single-player is just players[0].
+    const MAX_PLAYERS = 4;
+    // without challenge mode a hot-seat turn allows one discard, and declaring ends it
+    const HOTSEAT_TURN_RULES = { enabled: true, budget: 1, scope: 'turn', onDeclare: 'end-turn' };
+    function normalizePlayerCount(n){
+        n = +n;
+        return Number.isInteger(n) && n >= 1 && n <= MAX_PLAYERS ? n : 1;
+    }
+
+    // Computer players: the strategy (see bot.js) playing each seat, or null where a person sits
+    function normalizeBots(bots){
+        return Array.from({ length: MAX_PLAYERS }, (_, i) => (Array.isArray(bots) && typeof bots[i] === 'string' && bots[i] ? bots[i] : null));
+    }
+
+    // Hand size: how many cards are dealt (3..8, default 5). Larger hands make the value scales
+    // reachable; smaller hands make a harder game.
+    const MIN_HAND_SIZE = 3;
+    const MAX_HAND_SIZE = 8;
+    const DEFAULT_HAND_SIZE = 5;
+    function normalizeHandSize(n){
+        n = +n;
+        return Number.isInteger(n) && n >= MIN_HAND_SIZE && n <= MAX_HAND_SIZE ? n : DEFAULT_HAND_SIZE;
+    }
+
+    // Puzzles: a handcrafted deal on the built-in palette of a geometry, with a goal and a move limit:
+    //   { "format": "monochrome-puzzle", "version": 1, "id": "split-and-scale", "name": "Split and Scale",
+    //     "description": "...", "geometry": { "hueCount": 12, "levelCount": 5 },
+    //     "hand": ["White · V1", ...], "pool": ["Neutral · V3", ...],
+    //     "goal": [{ "rule": "Split Complementary Triad", "count": 1 }, { "rule": "Grey Value Scale" }],
+    //     "discards": 6 }
+    // Swatches are named by label. The hand is dealt as listed and the pool is drawn in order, first
+    // to last; swatches in neither are set aside for the game. The puzzle is solved once the goal's
+    // collections have been declared, with at most `discards` discards.
+    const PUZZLE_FORMAT = 'monochrome-puzzle';
+    const PUZZLE_VERSION = 1;
+    const MAX_GOALS = 4;
+    const MAX_GOAL_COUNT = 5;
+    const MAX_PUZZLE_DISCARDS = 30;
+
+    // Check a puzzle and bring it to the form newGame() uses: { id, name, description, geometry,
+    // hand, pool, goal: [{ rule, count }], discards } with every label checked against the palette
+    // of its geometry. Throws an Error saying what is wrong.
+    function validatePuzzle(data){
+        if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('The file is not a puzzle object.');
+        if (data.format !== undefined && data.format !== PUZZLE_FORMAT) throw new Error(`Unknown format "${data.format}".`);
+        if (data.version !== undefined && data.version !== PUZZLE_VERSION) throw new Error(`Unsupported puzzle version ${data.version}.`);
+        if (!Array.isArray(data.hand) || !Array.isArray(data.pool) || !Array.isArray(data.goal)) throw new Error('A puzzle needs "hand", "pool" and "goal" lists.');
+        const geometry = normalizeGeometry(data.geometry);
+        const { swatches, rules } = createGame({ geometry }).palette;
+        const labels = new Set(swatches.map(sw => sw.label));
+        const seen = new Set();
+        function swatchList(list, where){
+            return list.map(label => {
+                if (!labels.has(label)) throw new Error(`${where}: "${label}" is not a swatch of the ${geometry.hueCount} × ${geometry.levelCount} palette.`);
+                if (seen.has(label)) throw new Error(`${where}: ${label} appears more than once.`);
+                seen.add(label);
+                return label;
+            });
+        }
+        const hand = swatchList(data.hand, 'Hand');
+        const pool = swatchList(data.pool, 'Pool');
+        if (hand.length < MIN_HAND_SIZE || hand.length > MAX_HAND_SIZE) throw new Error(`Deal ${MIN_HAND_SIZE} to ${MAX_HAND_SIZE} cards to the hand (found ${hand.length}).`);
+        if (data.goal.length < 1 || data.goal.length > MAX_GOALS) throw new Error(`Give the goal 1 to ${MAX_GOALS} collections (found ${data.goal.length}).`);
+        const goal = data.goal.map(g => {
+            const rule = g && rules.find(r => r.name === g.rule);
+            if (!rule) throw new Error(`Goal: "${g && g.rule}" is not a collection of the ${geometry.hueCount} × ${geometry.levelCount} palette.`);
+            const count = g.count === undefined ? 1 : +g.count;
+            if (!Number.isInteger(count) || count < 1 || count > MAX_GOAL_COUNT) throw new Error(`Goal: collect ${rule.name} 1 to ${MAX_GOAL_COUNT} times.`);
+            return { rule: rule.name, count };
+        });
+        if (new Set(goal.map(g => g.rule)).size !== goal.length) throw new Error('Goal: list each collection once, with a count.');
+        const discards = +data.discards;
+        if (!Number.isInteger(discards) || discards < 1 || discards > MAX_PUZZLE_DISCARDS) throw new Error(`Allow 1 to ${MAX_PUZZLE_DISCARDS} discards.`);
+        const text = (value, max) => (typeof value === 'string' ? value.trim().slice(0, max) : '');
+        return {
+            id: text(data.id, 60),
+            name: text(data.name, 60) || 'Untitled puzzle',
+            description: text(data.description, 200),
+            geometry,
+            hand,
+            pool,
+            goal,
+            discards
+        };
+    }
+
+    // a puzzle's move limit, as a per-game discard budget
+    function puzzleChallenge(puzzle){
+        return normalizeChallenge({ enabled: true, budget: puzzle.discards, scope: 'game', onDeclare: 'end-turn' });
+    }
+
+    // Cards are named by slot, card-1 first; the names stay put when a hand is reordered
+    function cardId(slot){
+        return `card-${slot + 1}`;
+    }
+
+    // Saved games: a versioned snapshot of the whole game (see snapshot()). Bump SAVE_VERSION
+    // whenever the snapshot or swatch format changes and add a step to migrateSnapshot();
+    // restore() refuses versions it doesn't know.
+    const SAVE_VERSION = 9;
+
+    // upgrade an older snapshot to the current version, or return null if it can't be
+    function migrateSnapshot(snapshot){
+        if (!snapshot || typeof snapshot.version !== 'number') return null;
+        // v1 predates configurable geometry: it was always the default 12 × 5 palette
+        if (snapshot.version === 1) snapshot = Object.assign({}, snapshot, { version: 2, geometry: DEFAULT_GEOMETRY });
+        // v2 predates challenge mode: free play, no turns
+        if (snapshot.version === 2) snapshot = Object.assign({}, snapshot, { version: 3, challenge: DEFAULT_CHALLENGE, turn: 1, discardsThisTurn: 0, discardsLeft: DEFAULT_CHALLENGE.budget });
+        // v3 predates hot-seat play: a single player whose hand was stored card by card
+        if (snapshot.version === 3) {
+            const hand = Array.isArray(snapshot.hand) ? snapshot.hand : [];
+            snapshot = Object.assign({}, snapshot, {
+                version: 4,
+                currentPlayer: 0,
+                players: [{
+                    name: 'Player 1',
+                    hand: hand.map(h => (h && h.swatch) || null),
+                    selected: hand.map(h => !!(h && h.selected)),
+                    discardsLeft: snapshot.discardsLeft,
+                    discardCount: snapshot.discardCount
+                }]
+            });
+        }
+        // v4 predates custom palettes: always the built-in one
+        if (snapshot.version === 4) snapshot = Object.assign({}, snapshot, { version: 5, palette: null });
+        // v5 predates the game history: the start time is unknown, so durations count from the save
+        if (snapshot.version === 5) snapshot = Object.assign({}, snapshot, { version: 6, startedAt: snapshot.savedAt });
+        // v6 predates computer players: every seat was a person
+        if (snapshot.version === 6 && Array.isArray(snapshot.players)) {
+            snapshot = Object.assign({}, snapshot, { version: 7, players: snapshot.players.map(p => Object.assign({}, p, { bot: null })) });
+        }
+        // v7 predates timed modes: untimed, with no play time on the clock
+        if (snapshot.version === 7) snapshot = Object.assign({}, snapshot, { version: 8, timer: DEFAULT_TIMER, clock: { elapsed: 0, moveElapsed: 0, timeouts: 0, paused: false } });
+        // v8 predates puzzles: a random deal with nothing set aside
+        if (snapshot.version === 8) snapshot = Object.assign({}, snapshot, { version: 9, puzzle: null, setAside: [] });
+        return snapshot.version === SAVE_VERSION ? snapshot : null;
+    }
+
+    // copy only the swatch fields the game relies on
+    function snapshotSwatch(sw){
+        return sw ? { color: sw.color, hue: sw.hue, lightness: sw.lightness, label: sw.label } : null;
+    }
+
+    // bring a saved snapshot up to date and check it describes a game this version can play;
+    // returns the snapshot or null
+    function readSnapshot(data){
+        const snapshot = migrateSnapshot(data);
+        if (!snapshot) return null;
+        // only a puzzle sets swatches aside
+        if (snapshot.setAside === undefined) snapshot.setAside = [];
+        if (![snapshot.pool, snapshot.discardedPool, snapshot.collectedPool, snapshot.setAside, snapshot.players].every(Array.isArray)) return null;
+        if (snapshot.players.length < 1 || snapshot.players.length > MAX_PLAYERS) return null;
+        // every player holds the same number of cards, and it must be a valid hand size
+        const size = snapshot.players[0] && Array.isArray(snapshot.players[0].hand) ? snapshot.players[0].hand.length : 0;
+        if (!snapshot.players.every(p => p && Array.isArray(p.hand) && p.hand.length === size)) return null;
+        if (normalizeHandSize(size) !== size) return null;
+        snapshot.geometry = normalizeGeometry(snapshot.geometry);
+        if (snapshot.palette) {
+            try { snapshot.palette = validatePalette(snapshot.palette); } catch (e) { return null; }
+        }
+        if (snapshot.puzzle) {
+            try { snapshot.puzzle = validatePuzzle(snapshot.puzzle); } catch (e) { return null; }
+        }
+        // every swatch of the saved palette must be accounted for exactly once across the pools and the hands
+        const inHand = snapshot.players.reduce((n, p) => n + p.hand.filter(Boolean).length, 0);
+        const total = snapshot.pool.length + snapshot.discardedPool.length + snapshot.collectedPool.length + snapshot.setAside.length + inHand;
+        if (total !== swatchCount(snapshot.geometry, snapshot.palette)) return null;
+        return snapshot;
+    }
+
+    // A game: its settings, palette, seeded draws, pools, players, clocks and undo history. Options
+    // are the settings to start with ({ geometry, palette, handSize, players, bots, challenge, timer });
+    // newGame() takes the same ones to change them, or a puzzle to deal. Every change is announced to
+    // the on() listeners. `now` (Date.now by default) is the time source for the clocks and timestamps.
+    function createGame(options){
+        options = options || {};
+        let geometry = normalizeGeometry(options.geometry);
+        let customPalette = null;
+        if (options.palette) customPalette = validatePalette(options.palette);
+        let handSize = normalizeHandSize(options.handSize);
+        let playerCount = normalizePlayerCount(options.players);
+        let bots = normalizeBots(options.bots);
+        let challenge = normalizeChallenge(options.challenge);
+        let timer = normalizeTimer(options.timer);
+        const now = typeof options.now === 'function' ? options.now : Date.now;
+
+        // The active seed ('' = unseeded). A seeded game replays the same shuffle and draws for the
+        // same sequence of moves; an unseeded game keeps using the secure generator. seedState is the
+        // mulberry32 state, kept here so a saved game can carry on the same sequence after a reload.
+        let currentSeed = '';
+        let seedState = 0;
+        function setSeed(seed){
+            currentSeed = (seed || '').trim();
+            seedState = currentSeed ? hashSeed(currentSeed) : 0;
+        }
+
+        // mulberry32 step: next float in [0, 1) from the seeded state
+        function nextSeeded(){
+            let t = seedState = (seedState + 0x6D2B79F5) >>> 0;
+            t = Math.imul(t ^ t >>> 15, t | 1);
+            t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+            return ((t ^ t >>> 14) >>> 0) / 4294967296;
+        }
+
+        // Random integer in [0, max) from the seeded PRNG when a seed is set, otherwise secureRandInt
+        function randInt(max){
+            if (currentSeed) return max <= 0 ? 0 : Math.floor(nextSeeded() * max);
+            return secureRandInt(max);
+        }
+
+        // Fisher-Yates shuffle using randInt
+        function shuffleArray(arr){
+            for (let i = arr.length - 1; i > 0; i--) {
+                const j = randInt(i + 1);
+                const tmp = arr[i]; arr[i] = arr[j]; arr[j] = tmp;
+            }
+            return arr;
+        }
+
+        // lightness percentages for the hue levels (low = dark, high = light); labels run
+        // V1..Vn where V1 = lightest (highest percentage)
+        const minLightness = 20; // darkest hue level used (avoid pure black)
+        const maxLightness = 92; // lightest hue level used (avoid pure white) — raised so the lightest tones are noticeably lighter
+
+        // the live palette; rebuilt in place by buildPalette() so every reference stays valid
+        const hues = [];            // hue angles, evenly spaced around the wheel
+        const lightnessLevels = []; // hue lightness per level, darkest first
+        const neutralValues = [];   // neutral lightness per level, lightest (white) first
+        const swatches = [];        // every swatch in the game
+        const COLLECTION_RULES = [];
+
+        function buildPalette(){
+            const { saturation, colorSpace } = geometry;
+            const hueCount = customPalette ? customPalette.hues.length : geometry.hueCount;
+            const levelCount = customPalette ? customPalette.neutrals.length : geometry.levelCount;
+            hues.length = 0;
+            hues.push(...Array.from({ length: hueCount }, (_, k) => k * 360 / hueCount));
+            lightnessLevels.length = 0;
+            lightnessLevels.push(...Array.from({ length: levelCount }, (_, i) =>
+                Math.round(minLightness + (i * (maxLightness - minLightness)) / (levelCount - 1))
+            ));
+            // neutrals run from white (100%) to black (0%) with evenly spaced greys between them
+            neutralValues.length = 0;
+            neutralValues.push(...Array.from({ length: levelCount }, (_, i) => Math.round(100 - (i * 100) / (levelCount - 1))));
+
+            // a custom palette keeps the evenly spaced angles and lightness values above as the swatches'
+            // identities (what the rules match on) and supplies the colours and labels itself
+            swatches.length = 0;
+            hues.forEach((h, hi) => {
+                const name = HUE_NAMES[h] || `${h}°`;
+                lightnessLevels.forEach((l, li) => {
+                    // label levels 1..n where 1 is the lightest (highest percentage)
+                    const levelLabel = lightnessLevels.length - li;
+                    if (customPalette) {
+                        const { color, label } = customPalette.hues[hi].values[levelLabel - 1];
+                        swatches.push({ color, hue: h, lightness: l, label });
+                        return;
+                    }
+                    const rgb = swatchRgb(colorSpace, h, saturation, l);
+                    swatches.push({ color: rgbString(rgb), hue: h, lightness: l, label: `${name} · V${levelLabel}` });
+                });
+            });
+            const neutrals = neutralValues.map((v, ni) => {
+                const levelLabel = ni + 1; // ni=0 -> V1 (lightest)
+                if (customPalette) return Object.assign({ hue: null, lightness: v }, customPalette.neutrals[ni]);
+                const color = rgbString(swatchRgb(colorSpace, null, 0, v));
+                const label = v === 100 ? `White · V${levelLabel}` : (v === 0 ? `Black · V${levelLabel}` : `Neutral · V${levelLabel}`);
+                return { color, hue: null, lightness: v, label };
+            });
+            swatches.push(...neutrals);
+
+            COLLECTION_RULES.length = 0;
+            COLLECTION_RULES.push(...buildCollectionRules());
+        }
+
+        // helpers for circular arithmetic
+        function mod(n, m){ return ((n % m) + m) % m; }
+
+        // Collection rules: one declarative registry drives both the Declare button check and the
+        // declare handler, so what lights up the button is always what gets collected. The steps and
+        // levels follow the palette geometry (complements sit half the wheel away, triads a third). Each rule gives:
+        //   size      number of cards in the set
+        //   kind      'hue' (coloured swatches only) or 'neutral' (greys only)
+        //   sameHue   every card shares a single hue
+        //   sameLevel every card shares a single value level
+        //   levels    allowed value levels once sorted (1 = lightest); any one sequence may match
+        //   hueSteps  allowed hue-wheel offsets from a root hue; the set must match one pattern at some rotation
+        //   priority  lower wins when the same cards satisfy several rules (scales > tetrads > triads > duos)
+        //   points    score awarded for declaring the set; harder sets are worth more
+        //   description  plain-language summary shown with hints
+        function buildCollectionRules(){
+            const H = hues.length;
+            const L = lightnessLevels.length;
+            const half = H / 2;
+            const range = (from, to) => Array.from({ length: Math.max(0, to - from + 1) }, (_, i) => from + i);
+            const scale = [range(1, L)];
+            const tetradLevels = range(1, L - 3).map(s => range(s, s + 3));
+            // lightest, middle and darkest; with an even level count either middle level counts
+            const triadLevels = (L % 2 ? [(L + 1) / 2] : [L / 2, L / 2 + 1]).map(m => [1, m, L]);
+            const rules = [
+                { name: 'Monochrome Value Scale', size: L, kind: 'hue', sameHue: true, levels: scale, priority: 1, points: 15, description: `one hue at all ${L} value levels` },
+                { name: 'Monochrome Tetrad', size: 4, kind: 'hue', sameHue: true, levels: tetradLevels, priority: 2, points: 8, description: 'one hue at four consecutive value levels' },
+                { name: 'Monochrome Triad', size: 3, kind: 'hue', sameHue: true, levels: triadLevels, priority: 3, points: 4, description: 'one hue at the lightest, middle and darkest levels' },
+                { name: 'Grey Value Scale', size: L, kind: 'neutral', levels: scale, priority: 1, points: 15, description: `all ${L} neutrals, white to black` },
+                { name: 'Grey Scale Tetrad', size: 4, kind: 'neutral', levels: tetradLevels, priority: 2, points: 8, description: 'four neutrals at consecutive value levels' },
+                { name: 'Grey Scale Triad', size: 3, kind: 'neutral', levels: triadLevels, priority: 3, points: 4, description: 'white, a middle grey and black' },
+                { name: 'Analogous Scale', size: 5, kind: 'hue', sameLevel: true, hueSteps: [[0,1,2,3,4]], priority: 1, points: 12, description: 'five neighbouring hues at the same value level' },
+                { name: 'Analogous Tetrad', size: 4, kind: 'hue', sameLevel: true, hueSteps: [[0,1,2,3]], priority: 2, points: 6, description: 'four neighbouring hues at the same value level' },
+                { name: 'Analogous Triad', size: 3, kind: 'hue', sameLevel: true, hueSteps: [[0,1,2]], priority: 3, points: 3, description: 'three neighbouring hues at the same value level' },
+                // two complementary pairs: a, a+half and b, b+half for any b that is neither a nor a+half
+                { name: 'Complementary Tetrad', size: 4, kind: 'hue', sameLevel: true, hueSteps: range(1, half - 1).map(d => [0, d, half, half + d]), priority: 2, points: 10, description: 'two pairs of opposite hues at the same value level' },
+                // only wheels divisible by three have evenly spaced triads
+                { name: 'Hue Triad', size: 3, kind: 'hue', sameLevel: true, hueSteps: H % 3 === 0 ? [[0, H / 3, 2 * H / 3]] : [], priority: 3, points: 5, description: `three hues evenly spaced around the wheel (${H / 3} steps apart) at the same value level` },
+                // a root hue plus the two hues either side of its complement
+                { name: 'Split Complementary Triad', size: 3, kind: 'hue', sameLevel: true, hueSteps: [[0, half - 1, half + 1]], priority: 3, points: 5, description: 'a hue plus the two hues either side of its opposite, at the same value level' },
+                { name: 'Complementary Duo', size: 2, kind: 'hue', sameLevel: true, hueSteps: [[0, half]], priority: 4, points: 2, description: `two opposite hues (${half} steps apart) at the same value level` }
+            ];
+            // drop rules this geometry cannot express (tetrads with three levels, hue triads on an 8-hue wheel)
+            return rules.filter(r => (!r.levels || r.levels.length > 0) && (!r.hueSteps || r.hueSteps.length > 0));
+        }
+
+        // describe a swatch for rule matching: {isNeutral, hueIndex, level} where level is 1..5 (1 = lightest)
+        function describeSwatch(sw){
+            const isNeutral = !sw || sw.hue === null;
+            let hueIndex = null;
+            if (!isNeutral) {
+                hueIndex = hues.findIndex(h => h === sw.hue);
+            }
+            let level = null;
+            if (isNeutral) {
+                const ni = sw ? neutralValues.indexOf(sw.lightness) : -1;
+                level = ni === -1 ? null : ni + 1;
+            } else {
+                const li = lightnessLevels.indexOf(sw.lightness);
+                level = li === -1 ? null : (lightnessLevels.length - li);
+            }
+            return { isNeutral, hueIndex, level };
+        }
+
+        // check whether the hue indices form one of the step patterns, rotated to any root on the wheel
+        function matchesHueSteps(hueIdxs, patterns){
+            const n = hues.length;
+            const set = new Set(hueIdxs.map(x => mod(x, n)));
+            return patterns.some(steps => {
+                if (set.size !== steps.length) return false;
+                for (let root = 0; root < n; root++) {
+                    if (steps.every(off => set.has(mod(root + off, n)))) return true;
+                }
+                return false;
+            });
+        }
+
+        // test a single rule against a set of described cards
+        function ruleMatches(rule, subset){
+            if (subset.length !== rule.size) return false;
+            if (rule.kind === 'neutral' && !subset.every(s => s.isNeutral)) return false;
+            if (rule.kind === 'hue' && !subset.every(s => !s.isNeutral && s.hueIndex !== -1)) return false;
+            const levels = subset.map(s => s.level);
+            if (rule.sameLevel && !levels.every(l => l !== null && l === levels[0])) return false;
+            if (rule.sameHue && new Set(subset.map(s => s.hueIndex)).size !== 1) return false;
+            if (rule.levels) {
+                const sorted = levels.slice().sort((a,b) => a-b).join(',');
+                if (!rule.levels.some(seq => seq.join(',') === sorted)) return false;
+            }
+            if (rule.hueSteps && !matchesHueSteps(subset.map(s => s.hueIndex), rule.hueSteps)) return false;
+            return true;
+        }
+
+        // the highest-priority rule satisfied by exactly this set of cards, or null
+        function matchCollection(subset){
+            let best = null;
+            COLLECTION_RULES.forEach(rule => {
+                if (ruleMatches(rule, subset) && (!best || rule.priority < best.priority)) best = rule;
+            });
+            return best;
+        }
+
+        // visit each k-combination of indices [0..n-1] in order; stops early when visit returns true
+        function forEachCombination(n, k, visit){
+            if (k > n) return false;
+            const combo = Array.from({length: k}, (_,i) => i);
+            while(true){
+                if (visit(combo.slice())) return true;
+                let i = k - 1;
+                while(i >= 0 && combo[i] === n - k + i) i--;
+                if (i < 0) return false;
+                combo[i]++;
+                for(let j = i+1; j < k; j++) combo[j] = combo[j-1] + 1;
+            }
+        }
+
+        // generate k-combinations of indices [0..n-1]
+        function combinations(n, k){
+            const result = [];
+            forEachCombination(n, k, combo => { result.push(combo); });
+            return result;
+        }
+
+        // every collection available among subsets of the given cards: [{name, rule, ids}]
+        function findCollections(data){
+            const found = [];
+            const sizes = Array.from(new Set(COLLECTION_RULES.map(r => r.size)));
+            sizes.forEach(k => {
+                combinations(data.length, k).forEach(ci => {
+                    const subset = ci.map(i => data[i]);
+                    const rule = matchCollection(subset);
+                    if (rule) found.push({ name: rule.name, rule, ids: subset.map(s => s.id) });
+                });
+            });
+            return found;
+        }
+
+        // true if any subset of the given cards forms a collection that fits in a hand; smallest sets are
+        // tried first and the search stops at the first match, so large card lists stay cheap while duos
+        // are still around
+        function hasCollection(data){
+            const sizes = Array.from(new Set(COLLECTION_RULES.map(r => r.size)))
+                .filter(k => k <= handSize).sort((a,b) => a-b);
+            return sizes.some(k => forEachCombination(data.length, k, ci => matchCollection(ci.map(i => data[i])) !== null));
+        }
+
+        // the collection a hint should point at: highest priority first, then most points
+        function bestCollection(found){
+            return found.reduce((best, m) => {
+                if (!best) return m;
+                if (m.rule.priority !== best.rule.priority) return m.rule.priority < best.rule.priority ? m : best;
+                return m.rule.points > best.rule.points ? m : best;
+            }, null);
+        }
+
+        // Suggest a discard when the hand holds no collection. Each card is rated by how many
+        // collections it could complete, alone or with some of the other cards in hand, plus one
+        // swatch that can still be drawn; the card with the fewest prospects is the best discard.
+        function suggestDiscard(data, undrawn){
+            if (data.length === 0) return null;
+            const maxSize = Math.max(...COLLECTION_RULES.map(r => r.size));
+            const rated = data.map((card, ci) => {
+                const others = data.filter((_, i) => i !== ci);
+                let prospects = 0;
+                for (let k = 0; k <= Math.min(others.length, maxSize - 2); k++) {
+                    forEachCombination(others.length, k, oi => {
+                        const partial = [card].concat(oi.map(i => others[i]));
+                        undrawn.forEach(u => { if (matchCollection(partial.concat([u]))) prospects++; });
+                    });
+                }
+                return { card, prospects };
+            });
+            return rated.reduce((worst, r) => (r.prospects < worst.prospects ? r : worst));
+        }
+
+        buildPalette();
+
+        // Pool of unassigned swatches; newGame() fills it with a shuffled copy of the swatches
+        const pool = []; // unassigned swatches
+        const discardedPool = []; // swatches discarded by players (separate from pool)
+        const collectedPool = []; // swatches permanently collected when collections are declared
+        const setAside = [];      // swatches a puzzle leaves out of the game
+        const collected = []; // the collections declared this game: [{ name, ids, swatches, points, player, ts, elapsed }]
+        const players = [];   // [{ name, bot, hand: [swatch|null per card], selected: [bool per card], discardsLeft, discardCount }]
+        let currentPlayer = 0;    // index into players of whoever is on the table
+        let awaitingPlayer = false; // hot-seat: the hand is hidden until the next player starts their turn
+        let turn = 1;             // current turn number (challenge mode and hot-seat)
+        let discardsThisTurn = 0; // discards spent in the current turn
+        let gameOver = false;     // set once no draws or declarations remain
+        let startedAt = now(); // when the current game was dealt
+        let puzzle = null;        // the puzzle being played (see validatePuzzle()), or null for a random deal
+        let solved = false;       // the puzzle's goal was met
+
+        // Clocks: play time this game and on the current move, in ms. They run while a hand is live;
+        // clockMark is when they last started (null while stopped), and the stretch since then is
+        // folded in on every change.
+        let elapsed = 0;
+        let moveElapsed = 0;
+        let timeouts = 0;         // moves the turn clock has forced this game
+        let paused = false;
+        let timeUp = false;       // Time Attack ended the game
+        let clockMark = null;
+
+        // Events: listeners by type. Each action announces what it did ('discard', 'select',
+        // 'declare', 'turn', 'gameover', 'newgame', 'restore', 'undo', 'redo', 'pause', 'resume',
+        // 'timeout') and then 'change' with { action }, so a renderer can simply redraw on 'change'.
+        // 'tick' carries the clocks between changes (see tick()).
+        const listeners = {};
+        function on(type, fn){
+            (listeners[type] = listeners[type] || []).push(fn);
+            return () => { listeners[type] = listeners[type].filter(f => f !== fn); };
+        }
+        function emit(type, detail){
+            if (type === 'change') settleClock(detail.action);
+            (listeners[type] || []).slice().forEach(fn => fn(detail));
+        }
+
+        // the turn structure in force: challenge mode when it's on, the hot-seat default otherwise
+        function turnRules(){
+            return !challenge.enabled && players.length > 1 ? HOTSEAT_TURN_RULES : challenge;
+        }
+
+        // true when the turn rules forbid the active player another discard right now
+        function outOfDiscards(){
+            return turnRules().enabled && players[currentPlayer].discardsLeft <= 0;
+        }
+
+        // a hand is on show and can be played
+        function live(){
+            return !gameOver && !awaitingPlayer && !paused && players.length > 0;
+        }
+
+        // the clocks as they stand right now
+        function clockNow(){
+            const running = clockMark === null ? 0 : now() - clockMark;
+            return { elapsed: elapsed + running, moveElapsed: moveElapsed + running };
+        }
+
+        // the clocks for a renderer, with the time left on each timed mode (null when it is off)
+        function clockState(){
+            const clock = clockNow();
+            return Object.assign(clock, {
+                timeouts,
+                timeUp,
+                remaining: timer.attack ? Math.max(0, timer.minutes * 60000 - clock.elapsed) : null,
+                moveRemaining: timer.turnClock ? Math.max(0, timer.turnSeconds * 1000 - clock.moveElapsed) : null
+            });
+        }
+
+        // these actions start a new move, so the move clock starts again
+        const MOVE_ACTIONS = ['discard', 'declare', 'turn', 'start', 'timeout', 'newgame'];
+
+        // fold the stretch since clockMark into the clocks, then start or stop them for the state
+        // the game is in now
+        function settleClock(action){
+            ({ elapsed, moveElapsed } = clockNow());
+            if (MOVE_ACTIONS.includes(action)) moveElapsed = 0;
+            clockMark = live() ? now() : null;
+        }
+
+        function slotOf(id){
+            const slot = typeof id === 'string' ? +id.replace(/^card-/, '') - 1 : -1;
+            return Number.isInteger(slot) && slot >= 0 && slot < handSize ? slot : -1;
+        }
+
+        // points for a collected entry; entries saved without a points field fall back to the rule table
+        function pointsFor(item){
+            if(typeof item.points === 'number') return item.points;
+            const rule = COLLECTION_RULES.find(r => r.name === item.name);
+            return rule ? rule.points : 0;
+        }
+
+        // score of one player: total points of the collections they declared this game
+        // (entries saved before hot-seat play have no player and belong to the first)
+        function scoreFor(playerIndex){
+            return collected
+                .filter(item => (item.player || 0) === playerIndex)
+                .reduce((sum, item) => sum + pointsFor(item), 0);
+        }
+
+        // card data for rule matching: {id, sw, isNeutral, hueIndex, level}
+        function handData(p, filter){
+            return p.hand.map((sw, slot) => Object.assign({ id: cardId(slot), sw }, describeSwatch(sw)))
+                .filter((d, slot) => d.sw && filter(slot));
+        }
+        function undrawnData(){
+            return pool.concat(discardedPool).map(sw => Object.assign({ id: null, sw }, describeSwatch(sw)));
+        }
+
+        // The game ends once no collection can be declared any more: not in any player's hand, and not
+        // by drawing from the pool or discard pile either, because no combination of the swatches still
+        // in play forms one. When the pool and discard pile are empty (or a per-game discard budget is
+        // spent) this is just the hands themselves.
+        function isGameOver(){
+            const rules = turnRules();
+            const undrawn = undrawnData();
+            return players.every(p => {
+                const hand = handData(p, () => true);
+                // with a spent per-game budget only the cards in hand are left to declare
+                if (rules.enabled && rules.scope === 'game' && p.discardsLeft <= 0) return !hasCollection(hand);
+                return !hasCollection(hand.concat(undrawn));
+            });
+        }
+
+        function checkGameOver(){
+            if (gameOver || !isGameOver()) return;
+            endGame();
+        }
+
+        function endGame(){
+            gameOver = true;
+            awaitingPlayer = false;
+            paused = false;
+            clearUndo();
+            emit('gameover', { scores: players.map((p, i) => scoreFor(i)), timeUp, solved });
+        }
+
+        // If the pool is empty but there are discarded swatches, refresh the pool by
+        // moving discarded swatches back into the pool (shuffled, except in a puzzle, where they come
+        // back in the order they were discarded).
+        function refillPoolIfEmpty(){
+            if (pool.length === 0 && discardedPool.length > 0) {
+                if (!puzzle) shuffleArray(discardedPool);
+                pool.push(...discardedPool);
+                discardedPool.length = 0;
+            }
+        }
+
+        // draw a random swatch from the pool, or a puzzle's next one (refilled from the discard pile
+        // first if it has run dry), or null
+        function draw(){
+            refillPoolIfEmpty();
+            return pool.length > 0 ? pool.splice(puzzle ? 0 : randInt(pool.length), 1)[0] : null;
+        }
+
+        // how far the declarations have got towards the puzzle's goal: [{ rule, count, collected }]
+        function goalProgress(){
+            return puzzle ? puzzle.goal.map(g => ({
+                rule: g.rule,
+                count: g.count,
+                collected: Math.min(g.count, collected.filter(item => item.name === g.rule).length)
+            })) : [];
+        }
+
+        // start the next turn; in hot-seat play the next player takes the (hidden) table and the
+        // undo history is cleared, so nobody can step back into someone else's hand. A per-turn
+        // budget is refilled.
+        function nextTurn(){
+            turn++;
+            discardsThisTurn = 0;
+            if (players.length > 1) {
+                currentPlayer = (currentPlayer + 1) % players.length;
+                awaitingPlayer = true;
+                clearUndo();
+            }
+            if (turnRules().scope === 'turn') players[currentPlayer].discardsLeft = turnRules().budget;
+            emit('turn', { turn, player: currentPlayer });
+        }
+
+        // A puzzle's settings are for its own deal: the player's are put aside while it is in force
+        // and come back for the next game that isn't a puzzle.
+        let ownSettings = null;
+        function putSettingsAside(){
+            if (!ownSettings) ownSettings = { geometry, customPalette, handSize, playerCount, bots, challenge, timer };
+        }
+        function takeSettingsBack(){
+            if (!ownSettings) return;
+            ({ geometry, customPalette, handSize, playerCount, bots, challenge, timer } = ownSettings);
+            ownSettings = null;
+            buildPalette();
+        }
+
+        // New game: return every swatch to a freshly shuffled pool, clear the collected sets and deal
+        // a hand to every player in turn. Options change the settings first: { seed, geometry, palette
+        // (null for the built-in one), handSize, players, bots, challenge, timer }. The shuffle always
+        // starts from the canonical swatch order so a seed reproduces the same deal.
+        // With { puzzle } the puzzle's deal is laid out instead, for one player with its move limit
+        // and no clocks, on the built-in palette of its geometry.
+        function newGame(opts){
+            opts = opts || {};
+            puzzle = opts.puzzle ? validatePuzzle(opts.puzzle) : null;
+            solved = false;
+            if (puzzle) {
+                putSettingsAside();
+                opts = {
+                    geometry: puzzle.geometry,
+                    palette: null,
+                    handSize: puzzle.hand.length,
+                    players: 1,
+                    bots: [],
+                    challenge: puzzleChallenge(puzzle),
+                    timer: null
+                };
+            } else {
+                takeSettingsBack();
+            }
+            if (opts.palette !== undefined) customPalette = opts.palette ? validatePalette(opts.palette) : null;
+            if (opts.geometry !== undefined) geometry = normalizeGeometry(opts.geometry);
+            if (opts.palette !== undefined || opts.geometry !== undefined) buildPalette();
+            if (opts.handSize !== undefined) handSize = normalizeHandSize(opts.handSize);
+            if (opts.players !== undefined) playerCount = normalizePlayerCount(opts.players);
+            if (opts.bots !== undefined) bots = normalizeBots(opts.bots);
+            if (opts.challenge !== undefined) challenge = normalizeChallenge(opts.challenge);
+            if (opts.timer !== undefined) timer = normalizeTimer(opts.timer);
+            setSeed(opts.seed);
+            pool.length = 0;
+            discardedPool.length = 0;
+            collectedPool.length = 0;
+            setAside.length = 0;
+            collected.length = 0;
+            if (puzzle) {
+                const byLabel = label => swatches.find(sw => sw.label === label);
+                pool.push(...puzzle.hand.map(byLabel), ...puzzle.pool.map(byLabel));
+                setAside.push(...swatches.filter(sw => !pool.includes(sw)));
+            } else {
+                pool.push(...shuffleArray(swatches.slice()));
+            }
+            players.length = 0;
+            for (let i = 0; i < playerCount; i++) {
+                players.push({ name: bots[i] ? 'Computer' : `Player ${i + 1}`, bot: bots[i], hand: [], selected: [], discardsLeft: 0, discardCount: 0 });
+            }
+            players.forEach(p => { p.discardsLeft = turnRules().budget; });
+            currentPlayer = 0;
+            // the first hand stays hidden too until Player 1 has the device
+            awaitingPlayer = players.length > 1;
+            turn = 1;
+            discardsThisTurn = 0;
+            gameOver = false;
+            startedAt = now();
+            elapsed = 0;
+            moveElapsed = 0;
+            timeouts = 0;
+            paused = false;
+            timeUp = false;
+            clockMark = null;
+            // a small palette shared by many players can run dry, leaving empty cards (a puzzle's
+            // hand is the first of its swatches, in order)
+            players.forEach(p => {
+                p.hand = Array.from({ length: handSize }, () => (pool.length > 0 ? pool.splice(puzzle ? 0 : randInt(pool.length), 1)[0] : null));
+                p.selected = p.hand.map(() => false);
+            });
+            clearUndo();
+            emit('newgame', {});
+            checkGameOver();
+            emit('change', { action: 'newgame' });
+        }
+
+        // Discard: swap a card's swatch for a random one from the pool; the old swatch goes to the
+        // discard pile. Returns the swatch drawn, or null when the discard isn't allowed or there is
+        // nothing left to draw.
+        function discard(id){
+            const slot = slotOf(id);
+            if (!live() || slot === -1 || outOfDiscards()) return null;
+            const p = players[currentPlayer];
+            const before = snapshot();
+            const newSw = draw();
+            if (!newSw) return null;
+            const current = p.hand[slot];
+            remember(`discard of ${current ? current.label : 'an empty card'}`, before);
+            // move current swatch into the discarded pool (player discarded it)
+            if (current) discardedPool.push(current);
+            p.discardCount++;
+            discardsThisTurn++;
+            if (turnRules().enabled) p.discardsLeft--;
+            p.hand[slot] = newSw;
+            emit('discard', { player: currentPlayer, id, discarded: current, drawn: newSw });
+            checkGameOver();
+            emit('change', { action: 'discard' });
+            return newSw;
+        }
+
+        // tick or untick Collect on a card (toggled unless `selected` is given); returns the new
+        // state, or null when the card can't be ticked
+        function toggleCollect(id, selected){
+            const slot = slotOf(id);
+            if (!live() || slot === -1) return null;
+            const p = players[currentPlayer];
+            if (!p.hand[slot]) return null;
+            const next = selected === undefined ? !p.selected[slot] : !!selected;
+            if (next === p.selected[slot]) return next;
+            remember(`${next ? 'tick' : 'untick'} of ${p.hand[slot].label}`);
+            p.selected[slot] = next;
+            emit('select', { id, selected: next });
+            emit('change', { action: 'select' });
+            return next;
+        }
+
+        // the ticked cards and the collection they form as a whole (null if none)
+        function selection(){
+            if (!players.length) return { ids: [], swatches: [], rule: null };
+            const p = players[currentPlayer];
+            const data = handData(p, slot => p.selected[slot]);
+            return { ids: data.map(d => d.id), swatches: data.map(d => d.sw), rule: data.length ? matchCollection(data) : null };
+        }
+
+        // Declare: record the collection the ticked cards form, retire their swatches and draw
+        // replacements. Every declaration retires its swatches, so the same card slots can
+        // legitimately appear in several entries and each one scores. Returns the collected entry,
+        // or null when the ticked cards form no collection.
+        function declare(){
+            if (!live()) return null;
+            const { ids, swatches: picked, rule } = selection();
+            if (!rule) return null;
+            remember(`declaration of ${rule.name}`);
+            const p = players[currentPlayer];
+            // swatch snapshots (colour, label, and hue + lightness for the colour aids) for rendering later
+            const entry = {
+                name: rule.name,
+                ids,
+                swatches: picked.map(sw => ({ color: sw.color, label: sw.label, hue: sw.hue, lightness: sw.lightness })),
+                points: rule.points,
+                player: currentPlayer,
+                ts: now(),
+                elapsed: clockNow().elapsed
+            };
+            collected.push(entry);
+            emit('declare', { entry: Object.assign({}, entry), rule });
+            // retire the swatches and refresh the cards from the pool; an empty card cannot be collected
+            ids.forEach(cid => {
+                const slot = slotOf(cid);
+                collectedPool.push(p.hand[slot]);
+                p.hand[slot] = draw();
+                p.selected[slot] = false;
+            });
+            // a puzzle is over as soon as its goal is met
+            if (puzzle && goalProgress().every(g => g.collected === g.count)) {
+                solved = true;
+                endGame();
+            }
+            checkGameOver();
+            // turns: a declaration either ends the turn or refunds this turn's discards. The replacement
+            // draws above belong to the declaring player, so this comes after them.
+            const rules = turnRules();
+            if (rules.enabled && !gameOver) {
+                if (rules.onDeclare === 'refund') {
+                    p.discardsLeft += discardsThisTurn;
+                    discardsThisTurn = 0;
+                } else {
+                    nextTurn();
+                }
+            }
+            emit('change', { action: 'declare' });
+            return entry;
+        }
+
+        // End Turn (challenge mode and hot-seat): move on to the next turn without declaring
+        function endTurn(){
+            if (!live() || !turnRules().enabled) return false;
+            nextTurn();
+            checkGameOver();
+            emit('change', { action: 'turn' });
+            return true;
+        }
+
+        // Start Turn (hot-seat): the next player has the device, so their hand goes on show
+        function startTurn(){
+            if (gameOver || !awaitingPlayer) return false;
+            awaitingPlayer = false;
+            emit('change', { action: 'start' });
+            return true;
+        }
+
+        // Pause: the clocks stop and nothing can be played until resume(). The renderer hides the hand.
+        function pause(){
+            if (!live()) return false;
+            paused = true;
+            emit('pause', {});
+            emit('change', { action: 'pause' });
+            return true;
+        }
+
+        function resume(){
+            if (gameOver || !paused) return false;
+            paused = false;
+            emit('resume', {});
+            emit('change', { action: 'resume' });
+            return true;
+        }
+
+        // Run the timed modes; the renderer calls this a few times a second. Time Attack running out
+        // ends the game and the turn clock running out forces a move (see timeout()); otherwise
+        // 'tick' announces the clocks. Returns whether the hand is still live.
+        function tick(){
+            if (!live()) return false;
+            const clock = clockState();
+            if (clock.remaining === 0) {
+                settleClock(null);
+                elapsed = Math.min(elapsed, timer.minutes * 60000);
+                timeUp = true;
+                endGame();
+                emit('change', { action: 'timeup' });
+                return false;
+            }
+            if (clock.moveRemaining === 0) {
+                timeout();
+                return live();
+            }
+            emit('tick', clock);
+            return true;
+        }
+
+        // The turn clock ran out: a random card in hand is swapped for a draw, whatever the discard
+        // budget says, and it can't be undone. With turns in force the turn then passes on.
+        function timeout(){
+            const p = players[currentPlayer];
+            const slots = p.hand.map((sw, slot) => slot).filter(slot => p.hand[slot]);
+            let detail = { player: currentPlayer, id: null, discarded: null, drawn: null };
+            if (slots.length && pool.length + discardedPool.length > 0) {
+                const slot = slots[randInt(slots.length)];
+                const current = p.hand[slot];
+                const drawn = draw();
+                discardedPool.push(current);
+                p.hand[slot] = drawn;
+                p.discardCount++;
+                detail = { player: currentPlayer, id: cardId(slot), discarded: current, drawn };
+            }
+            timeouts++;
+            clearUndo();
+            emit('timeout', detail);
+            checkGameOver();
+            if (turnRules().enabled && !gameOver) nextTurn();
+            emit('change', { action: 'timeout' });
+        }
+
+        // Reorder the active hand: order[i] is the slot whose swatch (and Collect tick) ends up in slot i
+        function arrange(order){
+            if (!live() || !Array.isArray(order) || order.length !== handSize
+                || order.slice().sort((a, b) => a - b).some((slot, i) => slot !== i)) return false;
+            const p = players[currentPlayer];
+            p.hand = order.map(i => p.hand[i]);
+            p.selected = order.map(i => p.selected[i]);
+            emit('change', { action: 'arrange' });
+            return true;
+        }
+
+        // Hint for the active hand: the best collection in it, else the card with the fewest
+        // prospects to discard, else why the player can only end the turn. Null with no hand on show.
+        //   { type: 'collection', name, rule, ids } | { type: 'discard', id, swatch, prospects }
+        //   | { type: 'pass', reason: 'nothing-to-draw' | 'no-discards' }
+        function hint(){
+            if (!live()) return null;
+            const data = handData(players[currentPlayer], () => true);
+            const best = bestCollection(findCollections(data));
+            if (best) return { type: 'collection', name: best.name, rule: best.rule, ids: best.ids };
+            const undrawn = undrawnData();
+            const worst = suggestDiscard(data, undrawn);
+            if (!worst) return null;
+            // hot-seat: the others may still score from their hands, but this one can only pass
+            if (undrawn.length === 0) return { type: 'pass', reason: 'nothing-to-draw' };
+            if (outOfDiscards()) return { type: 'pass', reason: 'no-discards' };
+            return { type: 'discard', id: worst.card.id, swatch: worst.card.sw, prospects: worst.prospects };
+        }
+
+        // the whole game as a plain snapshot, for saving and the undo history; restore() takes it back
+        function snapshot(){
+            return {
+                version: SAVE_VERSION,
+                savedAt: now(),
+                startedAt,
+                seed: currentSeed,
+                seedState,
+                geometry,
+                palette: customPalette,
+                challenge,
+                timer,
+                clock: Object.assign(clockNow(), { timeouts, paused }),
+                turn,
+                discardsThisTurn,
+                currentPlayer,
+                pool: pool.map(snapshotSwatch),
+                discardedPool: discardedPool.map(snapshotSwatch),
+                collectedPool: collectedPool.map(snapshotSwatch),
+                setAside: setAside.map(snapshotSwatch),
+                puzzle,
+                players: players.map(p => ({
+                    name: p.name,
+                    bot: p.bot,
+                    hand: p.hand.map(snapshotSwatch),
+                    selected: p.selected.slice(),
+                    discardsLeft: p.discardsLeft,
+                    discardCount: p.discardCount
+                })),
+                collected: collected.map(item => Object.assign({}, item))
+            };
+        }
+
+        // put a snapshot's play state back: the seeded draw position, the pools, the turn, the players'
+        // hands and the collected list. The settings it was taken under must already be in force.
+        function loadState(snap){
+            if (currentSeed) seedState = snap.seedState >>> 0;
+            pool.length = 0;
+            discardedPool.length = 0;
+            collectedPool.length = 0;
+            setAside.length = 0;
+            pool.push(...snap.pool.map(snapshotSwatch));
+            discardedPool.push(...snap.discardedPool.map(snapshotSwatch));
+            collectedPool.push(...snap.collectedPool.map(snapshotSwatch));
+            setAside.push(...snap.setAside.map(snapshotSwatch));
+            turn = Math.max(1, snap.turn | 0);
+            discardsThisTurn = Math.max(0, snap.discardsThisTurn | 0);
+            gameOver = false;
+            collected.length = 0;
+            if (Array.isArray(snap.collected)) collected.push(...snap.collected.map(item => Object.assign({}, item)));
+            players.length = 0;
+            snap.players.forEach((p, i) => players.push({
+                name: typeof p.name === 'string' && p.name ? p.name : `Player ${i + 1}`,
+                bot: typeof p.bot === 'string' && p.bot ? p.bot : null,
+                hand: p.hand.map(snapshotSwatch),
+                selected: p.hand.map((sw, slot) => !!(sw && Array.isArray(p.selected) && p.selected[slot])),
+                discardsLeft: Math.max(0, p.discardsLeft | 0),
+                discardCount: Math.max(0, p.discardCount | 0)
+            }));
+            const index = snap.currentPlayer | 0;
+            currentPlayer = index >= 0 && index < players.length ? index : 0;
+        }
+
+        // Resume a saved game (any version migrateSnapshot() knows); returns false, changing nothing,
+        // if it can't be played. Whoever has the device may not be the player whose turn it is, so a
+        // hot-seat game waits for them to start the turn, and a timed game comes back paused.
+        function restore(data){
+            const snap = readSnapshot(data);
+            if (!snap) return false;
+            // a saved game brings its own settings, unless it is a puzzle
+            if (snap.puzzle) putSettingsAside();
+            else ownSettings = null;
+            customPalette = snap.palette || null;
+            geometry = snap.geometry;
+            buildPalette();
+            handSize = snap.players[0].hand.length;
+            playerCount = snap.players.length;
+            bots = normalizeBots(snap.players.map(p => p.bot));
+            challenge = normalizeChallenge(snap.challenge);
+            timer = normalizeTimer(snap.timer);
+            puzzle = snap.puzzle || null;
+            solved = false;
+            setSeed(snap.seed);
+            startedAt = Number.isFinite(snap.startedAt) ? snap.startedAt : now();
+            loadState(snap);
+            awaitingPlayer = players.length > 1;
+            const clock = snap.clock || {};
+            elapsed = Math.max(0, +clock.elapsed || 0);
+            moveElapsed = Math.max(0, +clock.moveElapsed || 0);
+            timeouts = Math.max(0, clock.timeouts | 0);
+            // the clocks of a timed game wait for the player to come back
+            paused = !awaitingPlayer && (timer.attack || timer.turnClock);
+            timeUp = false;
+            clockMark = null;
+            clearUndo();
+            emit('restore', {});
+            checkGameOver();
+            emit('change', { action: 'restore' });
+            return true;
+        }
+
+        // Undo/redo: discards, Collect ticks and declarations can be taken back. Each one is recorded
+        // with the snapshot from before it, so stepping back puts the pools, hands and collected list
+        // back exactly as they were. The history only covers the game in progress: it is cleared by a
+        // new game, a restore, the end of the game and, in hot-seat play, by passing the device on.
+        const UNDO_LIMIT = 100;
+        const undoPast = [];   // [{ label, state }] oldest first
+        const undoFuture = []; // [{ label, state }] undone actions, most recently undone last
+
+        function clearUndo(){
+            undoPast.length = 0;
+            undoFuture.length = 0;
+        }
+
+        // record an undoable action before it changes the game
+        function remember(label, before){
+            undoPast.push({ label, state: before || snapshot() });
+            if (undoPast.length > UNDO_LIMIT) undoPast.shift();
+            undoFuture.length = 0;
+        }
+
+        // step back (from = undoPast, to = undoFuture) or forward one action; returns its label
+        function stepHistory(from, to, type){
+            if (!live() || from.length === 0) return null;
+            const entry = from.pop();
+            to.push({ label: entry.label, state: snapshot() });
+            loadState(entry.state);
+            emit(type, { label: entry.label });
+            emit('change', { action: type });
+            return entry.label;
+        }
+        function undo(){ return stepHistory(undoPast, undoFuture, 'undo'); }
+        function redo(){ return stepHistory(undoFuture, undoPast, 'redo'); }
+
+        // what Undo and Redo would step over (labels), or null
+        function history(){
+            const last = stack => (live() && stack.length ? stack[stack.length - 1].label : null);
+            return { undo: last(undoPast), redo: last(undoFuture) };
+        }
+
+        // A copy of everything a renderer needs. Hands list each card as { id, swatch, selected }.
+        function getState(){
+            return {
+                seed: currentSeed,
+                geometry: Object.assign({}, geometry),
+                palette: customPalette,
+                handSize,
+                playerCount,
+                bots: bots.slice(0, playerCount),
+                challenge: Object.assign({}, challenge),
+                timer: Object.assign({}, timer),
+                clock: clockState(),
+                paused,
+                turnRules: Object.assign({}, turnRules()),
+                turn,
+                discardsThisTurn,
+                currentPlayer,
+                awaitingPlayer,
+                gameOver,
+                startedAt,
+                pool: pool.slice(),
+                discardedPool: discardedPool.slice(),
+                collectedPool: collectedPool.slice(),
+                setAside: setAside.slice(),
+                // the puzzle in play with the goal's progress, or null
+                puzzle: puzzle ? Object.assign({}, puzzle, { goal: goalProgress(), solved }) : null,
+                players: players.map((p, i) => ({
+                    name: p.name,
+                    bot: p.bot,
+                    hand: p.hand.map((sw, slot) => ({ id: cardId(slot), swatch: sw, selected: p.selected[slot] })),
+                    discardsLeft: p.discardsLeft,
+                    discardCount: p.discardCount,
+                    score: scoreFor(i)
+                })),
+                collected: collected.map(item => Object.assign({}, item)),
+                canDiscard: live() && !outOfDiscards()
+            };
+        }
+
+        return {
+            on,
+            newGame,
+            discard,
+            toggleCollect,
+            declare,
+            endTurn,
+            startTurn,
+            pause,
+            resume,
+            tick,
+            arrange,
+            undo,
+            redo,
+            history,
+            hint,
+            selection,
+            getState,
+            snapshot,
+            restore,
+            scoreFor,
+            pointsFor,
+            describeSwatch,
+            matchCollection: list => matchCollection(list.map(sw => Object.assign({ sw }, describeSwatch(sw)))),
+            // the live palette and rules, rebuilt in place when the settings change
+            palette: { hues, lightnessLevels, neutralValues, swatches, rules: COLLECTION_RULES }
+        };
+    }
+
+    return {
+        createGame,
+        cardId,
+        SAVE_VERSION,
+        migrateSnapshot,
+        readSnapshot,
+        normalizeGeometry,
+        normalizeChallenge,
+        normalizeTimer,
+        normalizePlayerCount,
+        normalizeBots,
+        normalizeHandSize,
+        validatePalette,
+        validatePuzzle,
+        swatchCount,
+        parseColour,
+        rgbToHex,
+        rgbString,
+        labelColourFor,
+        HUE_NAMES,
+        HUE_COUNTS,
+        MIN_LEVELS,
+        MAX_LEVELS,
+        DEFAULT_GEOMETRY,
+        DEFAULT_CHALLENGE,
+        DEFAULT_TIMER,
+        MAX_PLAYERS,
+        MIN_HAND_SIZE,
+        MAX_HAND_SIZE,
+        DEFAULT_HAND_SIZE,
+        PALETTE_FORMAT,
+        PALETTE_VERSION,
+        PUZZLE_FORMAT,
+        PUZZLE_VERSION
+    };
+});
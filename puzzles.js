@@ -0,0 +1,69 @@
+// The built-in puzzles, easiest first, in the puzzle format (see validatePuzzle() in engine.js).
+// In the browser it is the global MonochromePuzzles; in Node, require('./puzzles.js').
+(function(root, factory){
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.MonochromePuzzles = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+    return [
+        {
+            format: 'monochrome-puzzle',
+            version: 1,
+            id: 'opposites-attract',
+            name: 'Opposites Attract',
+            description: 'Find the hue opposite Red-Orange at its own value level.',
+            geometry: { hueCount: 12, levelCount: 5 },
+            hand: ['Red-Orange · V3', 'Green · V1', 'Violet · V4', 'Neutral · V2', 'Yellow · V5'],
+            pool: ['Magenta · V2', 'Cyan · V3', 'Blue · V1', 'Yellow-Orange · V4', 'Black · V5'],
+            goal: [{ rule: 'Complementary Duo', count: 1 }],
+            discards: 2
+        },
+        {
+            format: 'monochrome-puzzle',
+            version: 1,
+            id: 'three-ways-round',
+            name: 'Three Ways Round',
+            description: 'A quick pair is on offer. Holding out pays more.',
+            geometry: { hueCount: 12, levelCount: 5 },
+            hand: ['Red-Orange · V2', 'Blue · V2', 'Yellow · V4', 'Cyan · V1', 'Neutral · V3'],
+            pool: ['Cyan · V2', 'Blue-Green · V4', 'Blue-Green · V2', 'Violet · V5', 'Green · V3'],
+            goal: [{ rule: 'Split Complementary Triad', count: 1 }],
+            discards: 3
+        },
+        {
+            format: 'monochrome-puzzle',
+            version: 1,
+            id: 'climb-the-scale',
+            name: 'Climb the Scale',
+            description: 'Violet already makes a triad. Leave it alone and fill in the steps between.',
+            geometry: { hueCount: 12, levelCount: 5 },
+            hand: ['Violet · V1', 'Violet · V3', 'Violet · V5', 'Yellow · V2', 'Neutral · V4', 'Cyan · V4'],
+            pool: ['Yellow-Green · V3', 'Violet · V4', 'Green · V1', 'Violet · V2', 'Blue · V5', 'Red · V3'],
+            goal: [{ rule: 'Monochrome Value Scale', count: 1 }],
+            discards: 4
+        },
+        {
+            format: 'monochrome-puzzle',
+            version: 1,
+            id: 'split-and-scale',
+            name: 'Split and Scale',
+            description: 'Collect both sets. Every grey is needed for the scale.',
+            geometry: { hueCount: 12, levelCount: 5 },
+            hand: ['White · V1', 'Neutral · V2', 'Neutral · V4', 'Red-Orange · V3', 'Blue-Green · V3', 'Yellow · V1', 'Magenta · V5', 'Green · V2'],
+            pool: ['Yellow-Orange · V5', 'Neutral · V3', 'Violet · V1', 'Blue · V3', 'Cyan · V3', 'Black · V5', 'Green · V4', 'Red · V2', 'Blue-Violet · V1'],
+            goal: [{ rule: 'Split Complementary Triad', count: 1 }, { rule: 'Grey Value Scale', count: 1 }],
+            discards: 6
+        },
+        {
+            format: 'monochrome-puzzle',
+            version: 1,
+            id: 'round-the-wheel',
+            name: 'Round the Wheel',
+            description: 'Three hue triads from one small hand. Every draw counts.',
+            geometry: { hueCount: 12, levelCount: 5 },
+            hand: ['Red-Orange · V2', 'Green · V2', 'Yellow-Orange · V4', 'Blue-Green · V4', 'Neutral · V3'],
+            pool: ['Red · V3', 'Cyan · V4', 'Blue-Violet · V2', 'Yellow · V1', 'Magenta · V1', 'Violet · V4', 'Cyan · V1', 'White · V1'],
+            goal: [{ rule: 'Hue Triad', count: 3 }],
+            discards: 3
+        }
+    ];
+});
@@ -1,143 +1,775 @@
-// Generate a palette of 65 RGB swatches (12 hues × 5 lightness levels = 60, plus 5 neutrals incl. black),
-// securely shuffle them, and assign one random swatch to each .card-media.
+// Render the Monochrome game: the hand of cards, the palette, the scores and the collected sets, on
+// top of the headless engine in engine.js, which holds the rules and the game state. This file
+// wires the page to it and keeps the settings, saved game, history and achievements in localStorage.
 document.addEventListener('DOMContentLoaded', () => {
-    const cards = Array.from(document.querySelectorAll('.card'));
-    if (!cards.length) return;
-
-    // Start a fresh game on each page load: clear previously saved collected sets so
-    // the player always begins with a new shuffled hand and empty collected list.
-    try { localStorage.removeItem('collectedCollections_v1'); } catch (e) { /* noop */ }
-
-    // Convert HSL to RGB (returns [r,g,b])
-    function hslToRgb(h, s, l){
-        s /= 100;
-        l /= 100;
-        const k = n => (n + h/30) % 12;
-        const a = s * Math.min(l, 1 - l);
-        const f = n => l - a * Math.max(-1, Math.min(k(n) - 3, Math.min(9 - k(n), 1)));
-        return [Math.round(255 * f(0)), Math.round(255 * f(8)), Math.round(255 * f(4))];
-    }
-
-    // Format rgb array to CSS rgb(...) string
-    function rgbString([r,g,b]){
-        return `rgb(${r}, ${g}, ${b})`;
-    }
-
-    // Secure random integer in [0, max)
-    function secureRandInt(max){
-        if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
-            const range = max;
-            if (range <= 0) return 0;
-            const x = new Uint32Array(1);
-            const maxUint = 0xffffffff;
-            const limit = Math.floor((maxUint + 1) / range) * range;
-            let r;
-            do {
-                crypto.getRandomValues(x);
-                r = x[0];
-            } while (r >= limit);
-            return r % range;
-        }
-        return Math.floor(Math.random() * max);
-    }
-
-    // Fisher-Yates shuffle using secureRandInt
-    function shuffleArray(arr){
-        for (let i = arr.length - 1; i > 0; i--) {
-            const j = secureRandInt(i + 1);
-            const tmp = arr[i]; arr[i] = arr[j]; arr[j] = tmp;
-        }
-        return arr;
-    }
-
-    // Build swatches: 12 hues, 5 lightness levels each
-    // 12 evenly spaced hues (every 30°): 0, 30, 60, ..., 330
-    // This guarantees inclusion of Yellow (60°), Cyan (180°), and Magenta (300°)
-    const hues = Array.from({length: 12}, (_, k) => k * 30);
-    // Friendly names for the 12 hues (matching the hues order above)
-    const hueNames = [
-        'Red-Orange',         // 0°
-        'Yellow-Orange',  // 30°
-        'Yellow',      // 60°
-        'Yellow-Green', // 90°
-        'Green',      // 120° (approx)
-        'Blue-Green',// 150°
-        'Cyan',       // 180°
-        'Blue',        // 210°
-        'Blue-Violet',        // 240°
-        'Violet', // 270°
-        'Magenta',      // 300°
-        'Red'      // 330°
-    ];
-    // five lightness percentages (low = dark, high = light);
-    // labels will be 1-5 where 1 = lightest (highest percentage)
-    // Generate these programmatically to guarantee even spacing across the chosen range.
-    const minLightness = 20; // darkest hue level used (avoid pure black)
-    const maxLightness = 92; // lightest hue level used (avoid pure white) — raised so the lightest tones are noticeably lighter
-    const lightSteps = 5;
-    const lightnessLevels = Array.from({ length: lightSteps }, (_, i) =>
-        Math.round(minLightness + (i * (maxLightness - minLightness)) / (lightSteps - 1))
-    );
-    const saturation = 80; // percent
-
-    const swatches = [];
-    hues.forEach((h, idx) => {
-        const name = hueNames[idx] || `${h}°`;
-        lightnessLevels.forEach((l, li) => {
-            // label levels 1..5 where 1 is the lightest (highest percentage)
-            const levelLabel = lightnessLevels.length - li; // e.g., li=4 (80%) -> 1
-            const rgb = hslToRgb(h, saturation, l);
-            swatches.push({ color: rgbString(rgb), hue: h, lightness: l, label: `${name} · V${levelLabel}` });
-        });
-    });
+    const handRow = document.querySelector('.hand .hand-row');
+    if (!handRow) return;
+    const cards = []; // the .card elements of the current hand, built by buildHand()
+    const {
+        createGame, readSnapshot, normalizeGeometry, normalizeChallenge, normalizeTimer, normalizePlayerCount, normalizeHandSize,
+        validatePalette, validatePuzzle, parseColour, rgbToHex, labelColourFor, HUE_NAMES, PALETTE_FORMAT, PALETTE_VERSION,
+        PUZZLE_FORMAT, PUZZLE_VERSION, MAX_PLAYERS, MAX_HAND_SIZE
+    } = MonochromeEngine;
+    const { STRATEGIES, chooseMove, playMove, simulateGame, summarize, MAX_MOVES } = MonochromeBot;
+    const PUZZLES = MonochromePuzzles;
+
+    // Settings are kept between visits; the engine clamps them to what the game supports
+    // (see normalizeGeometry() and friends in engine.js).
+    const GEOMETRY_KEY = 'paletteGeometry_v1';
+    function loadGeometry(){
+        try{ return normalizeGeometry(JSON.parse(localStorage.getItem(GEOMETRY_KEY) || 'null')); }catch(e){ return normalizeGeometry(null); }
+    }
+    function saveGeometry(g){
+        try{ localStorage.setItem(GEOMETRY_KEY, JSON.stringify(g)); }catch(e){ /* noop */ }
+    }
+    let geometry = loadGeometry();
 
-    // Add 5 neutral swatches including White and Black with 3 evenly spaced greys between them
-    // We'll express neutral lightness as percentages [100,75,50,25,0] (100% = white, 0% = black)
-    const neutralValues = [100, 75, 50, 25, 0];
-    const neutrals = neutralValues.map((v, ni) => {
-        const levelLabel = ni + 1; // ni=0 -> V1 (lightest)
-        const gray = Math.round((v / 100) * 255);
-        const color = `rgb(${gray}, ${gray}, ${gray})`;
-        const label = v === 100 ? `White · V${levelLabel}` : (v === 0 ? `Black · V${levelLabel}` : `Neutral · V${levelLabel}`);
-        return { color, hue: null, lightness: v, label };
-    });
-    swatches.push(...neutrals);
+    // Custom palettes (see validatePalette() in engine.js for the file format): the one in play is
+    // remembered until the player goes back to the built-in palette
+    const PALETTE_KEY = 'customPalette_v1';
+    let customPalette = (function(){
+        try{ return validatePalette(JSON.parse(localStorage.getItem(PALETTE_KEY) || 'null')); }catch(e){ return null; }
+    })();
+    function setCustomPalette(p){
+        customPalette = p || null;
+        try{
+            if (customPalette) localStorage.setItem(PALETTE_KEY, JSON.stringify(customPalette));
+            else localStorage.removeItem(PALETTE_KEY);
+        }catch(e){ /* noop */ }
+    }
+
+    // Colour aids: a glyph per hue angle (same 15° steps as HUE_NAMES, so a hue keeps its glyph in
+    // every geometry) and one for the neutrals, so swatches can be told apart without relying on colour
+    const HUE_GLYPHS = {
+        0: '✱', 15: '▲', 30: '■', 45: '◆',
+        60: '★', 75: '✚', 90: '♥', 105: '♠',
+        120: '♣', 135: '♦', 150: '☀', 165: '☾',
+        180: '✖', 195: '⬟', 210: '⬢', 225: '▼',
+        240: '◀', 255: '▶', 270: '✿', 285: '❖',
+        300: '⚑', 315: '♪', 330: '☂', 345: '✦'
+    };
+    const NEUTRAL_GLYPH = '○';
+
+    // Colour aids and colour-vision simulation are display settings: they apply straight away and
+    // are remembered, without starting a new game. The simulations are SVG colour-matrix filters
+    // defined in index.html.
+    const AIDS_KEY = 'colourAids_v1';
+    const SIMULATIONS = ['none', 'protanopia', 'deuteranopia', 'tritanopia'];
+    function normalizeAids(a){
+        a = a || {};
+        return { glyphs: !!a.glyphs, simulate: SIMULATIONS.includes(a.simulate) ? a.simulate : 'none' };
+    }
+    let aids = (function(){
+        try{ return normalizeAids(JSON.parse(localStorage.getItem(AIDS_KEY) || 'null')); }catch(e){ return normalizeAids(null); }
+    })();
+    function applyAids(){
+        document.body.classList.toggle('colour-aids', aids.glyphs);
+        SIMULATIONS.forEach(name => document.body.classList.toggle(`simulate-${name}`, aids.simulate === name && name !== 'none'));
+    }
+    function setAids(a){
+        aids = normalizeAids(a);
+        try{ localStorage.setItem(AIDS_KEY, JSON.stringify(aids)); }catch(e){ /* noop */ }
+        applyAids();
+    }
+    applyAids();
 
-    // Ensure we have 65 colors
-    // (12*5 = 60; +5 neutrals = 65)
+    // Challenge mode: an optional turn structure with a limited discard budget (see
+    // normalizeChallenge() in engine.js). Off by default (unlimited discards, no turns).
+    const CHALLENGE_KEY = 'challengeMode_v1';
+    let challenge = (function(){
+        try{ return normalizeChallenge(JSON.parse(localStorage.getItem(CHALLENGE_KEY) || 'null')); }catch(e){ return normalizeChallenge(null); }
+    })();
+    function setChallenge(c){
+        challenge = normalizeChallenge(c);
+        try{ localStorage.setItem(CHALLENGE_KEY, JSON.stringify(challenge)); }catch(e){ /* noop */ }
+    }
 
-    // Shuffle the swatches securely and use as an initial pool of unassigned swatches
-    shuffleArray(swatches);
-    const pool = swatches.slice(); // unassigned swatches
-    const discardedPool = []; // swatches discarded by player (separate from pool)
-    const collectedPool = []; // swatches permanently collected when collections are declared
+    // Timed modes: Time Attack and the turn clock (see normalizeTimer() in engine.js). Off by default.
+    const TIMER_KEY = 'timedModes_v1';
+    let timer = (function(){
+        try{ return normalizeTimer(JSON.parse(localStorage.getItem(TIMER_KEY) || 'null')); }catch(e){ return normalizeTimer(null); }
+    })();
+    function setTimer(t){
+        timer = normalizeTimer(t);
+        try{ localStorage.setItem(TIMER_KEY, JSON.stringify(timer)); }catch(e){ /* noop */ }
+    }
+
+    // Hot-seat play: 2..4 players share the pool and discard pile but each keeps their own hand,
+    // collected sets and score. Only the active player's hand is on the table; the others wait
+    // until their turn comes round.
+    const PLAYERS_KEY = 'playerCount_v1';
+    let playerCount = (function(){
+        try{ return normalizePlayerCount(localStorage.getItem(PLAYERS_KEY) || 1); }catch(e){ return 1; }
+    })();
+    function setPlayerCount(n){
+        playerCount = normalizePlayerCount(n);
+        try{ localStorage.setItem(PLAYERS_KEY, String(playerCount)); }catch(e){ /* noop */ }
+    }
+
+    // Computer opponent: none, or one of the strategies in bot.js playing an extra seat after the
+    // people (so there is room for MAX_PLAYERS - 1 of them). It shares the pool like anyone else.
+    const OPPONENT_KEY = 'opponent_v1';
+    function normalizeOpponent(o){
+        return Object.keys(STRATEGIES).includes(o) ? o : 'none';
+    }
+    let opponent = (function(){
+        try{ return normalizeOpponent(localStorage.getItem(OPPONENT_KEY)); }catch(e){ return 'none'; }
+    })();
+    function setOpponent(o){
+        opponent = normalizeOpponent(o);
+        try{ localStorage.setItem(OPPONENT_KEY, opponent); }catch(e){ /* noop */ }
+    }
+
+    // the seats to deal: the people, then the computer if there is one
+    function seats(){
+        if (opponent === 'none') return { players: playerCount, bots: [] };
+        const people = Math.min(playerCount, MAX_PLAYERS - 1);
+        return { players: people + 1, bots: Array(people).fill(null).concat([opponent]) };
+    }
 
-    // render the pool status area (available / discarded / retired counts)
+    // Hand size: how many cards are dealt (3..8, default 5). Larger hands make the value scales
+    // reachable; smaller hands make a harder game.
+    const HAND_SIZE_KEY = 'handSize_v1';
+    const NUMBER_WORDS = ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight'];
+    let handSize = (function(){
+        try{ return normalizeHandSize(localStorage.getItem(HAND_SIZE_KEY) || undefined); }catch(e){ return normalizeHandSize(undefined); }
+    })();
+    function setHandSize(n){
+        handSize = normalizeHandSize(n);
+        try{ localStorage.setItem(HAND_SIZE_KEY, String(handSize)); }catch(e){ /* noop */ }
+    }
+
+    // Puzzles: handcrafted deals with a goal and a move limit (see validatePuzzle() in engine.js).
+    // The built-in ones come from puzzles.js; the player's own, made in the editor or imported, are
+    // kept under CUSTOM_PUZZLES_KEY, and the best result of each puzzle solved under
+    // PUZZLE_PROGRESS_KEY by id.
+    const CUSTOM_PUZZLES_KEY = 'customPuzzles_v1';
+    const PUZZLE_PROGRESS_KEY = 'puzzleProgress_v1';
+    const builtinPuzzles = PUZZLES.map(p => validatePuzzle(p));
+    let customPuzzles = (function(){
+        try{
+            const list = JSON.parse(localStorage.getItem(CUSTOM_PUZZLES_KEY) || '[]');
+            if (!Array.isArray(list)) return [];
+            // a puzzle that no longer checks out is dropped rather than breaking the list
+            return list.map(p => { try{ return validatePuzzle(p); }catch(e){ return null; } }).filter(Boolean);
+        }catch(e){ return []; }
+    })();
+    function setCustomPuzzles(list){
+        customPuzzles = list;
+        try{ localStorage.setItem(CUSTOM_PUZZLES_KEY, JSON.stringify(customPuzzles)); }catch(e){ /* noop */ }
+    }
+    function loadPuzzleProgress(){
+        try{
+            const progress = JSON.parse(localStorage.getItem(PUZZLE_PROGRESS_KEY) || '{}');
+            return progress && typeof progress === 'object' && !Array.isArray(progress) ? progress : {};
+        }catch(e){ return {}; }
+    }
+    function savePuzzleProgress(progress){
+        try{ localStorage.setItem(PUZZLE_PROGRESS_KEY, JSON.stringify(progress)); }catch(e){ /* noop */ }
+    }
+    // the puzzle being built in the editor ({ id, hand, pool } of swatch labels), or null while the
+    // editor is closed; picking from the palette grid only works while it is open
+    let draft = null;
+
+    // The game itself. Its palette arrays and rule list are rebuilt in place when the settings
+    // change, so these names stay valid for the renderer.
+    const game = createGame(Object.assign({ geometry, palette: customPalette, handSize, challenge, timer }, seats()));
+    const { hues, lightnessLevels, neutralValues, swatches } = game.palette;
+    const COLLECTION_RULES = game.palette.rules;
+    const describeSwatch = game.describeSwatch;
+    const pointsFor = game.pointsFor;
+
+    // the collected sets of the game in progress, also kept under their own key
+    const STORAGE_KEY = 'collectedCollections_v1';
+    function loadCollected(){
+        return game.getState().collected;
+    }
+    // the sets the people at the table collected, leaving out the computer's (for records and achievements)
+    function peopleCollected(){
+        const st = game.getState();
+        return st.collected.filter(item => !(st.players[item.player || 0] || {}).bot);
+    }
+    function saveCollected(list){
+        try{ localStorage.setItem(STORAGE_KEY, JSON.stringify(list)); }catch(e){ /* noop */ }
+    }
+
+    function playerName(playerIndex){
+        const p = game.getState().players[playerIndex];
+        return p ? p.name : `Player ${playerIndex + 1}`;
+    }
+
+    // the computer has the seat on the table, so the person's controls are locked
+    function botTurn(st){
+        const p = st.players[st.currentPlayer];
+        return !st.gameOver && !!(p && p.bot);
+    }
+
+    // a person's hand is on show and can be played
+    function playersTurn(st){
+        return !st.gameOver && !st.awaitingPlayer && !st.paused && !botTurn(st);
+    }
+
+    // the next seat starts without the pass screen: it's the computer's, or it's the only person's
+    function skipsHandover(st){
+        return botTurn(st) || st.players.filter(p => !p.bot).length === 1;
+    }
+
+    // render the pool status area (available / discarded / retired counts and the running score)
     function renderStatus(){
         const container = document.getElementById('pool-status');
         if(!container) return;
-        const available = pool.length;
-        const discarded = discardedPool.length;
-        const retired = collectedPool.length;
+        const st = game.getState();
         container.innerHTML = `
-            <div class="status-pill"><span class="count">${available}</span>Available</div>
-            <div class="status-pill"><span class="count">${discarded}</span>Discarded</div>
-            <div class="status-pill"><span class="count">${retired}</span>Collected</div>
+            <div class="status-pill"><span class="count">${st.pool.length}</span>Available</div>
+            <div class="status-pill"><span class="count">${st.discardedPool.length}</span>Discarded</div>
+            <div class="status-pill"><span class="count">${st.collectedPool.length}</span>Collected</div>
         `;
+        // one score per player in hot-seat play, the active one highlighted
+        container.insertAdjacentHTML('beforeend', st.players.length > 1
+            ? st.players.map((p, i) => `<div class="status-pill score${i === st.currentPlayer ? ' active' : ''}"><span class="count">${p.score}</span>${p.name}</div>`).join('')
+            : `<div class="status-pill score"><span class="count">${st.players.length ? st.players[0].score : 0}</span>Score</div>`);
+        const rules = st.turnRules;
+        if (rules.enabled && st.players.length) {
+            const per = rules.scope === 'turn' ? 'this turn' : 'this game';
+            const left = st.players[st.currentPlayer].discardsLeft;
+            container.insertAdjacentHTML('beforeend', `
+            <div class="status-pill"><span class="count">${st.turn}</span>Turn</div>
+            <div class="status-pill budget${left <= 0 ? ' empty' : ''}"><span class="count">${left}/${rules.budget}</span>Discards left ${per}</div>
+        `);
+        }
+        // a puzzle's goal, one pill per collection, ticked off as they are declared
+        if (st.puzzle) {
+            container.insertAdjacentHTML('beforeend', st.puzzle.goal.map(g =>
+                `<div class="status-pill goal${g.collected === g.count ? ' done' : ''}"><span class="count">${g.collected}/${g.count}</span>${g.rule}</div>`).join(''));
+        }
+        syncTurnControls(st);
+        syncPassScreen(st);
+        syncPauseScreen(st);
+        renderClock(st.clock, st.gameOver);
+    }
+
+    // enable the Discard buttons only while the budget allows, and show End Turn when there are turns
+    function syncTurnControls(st){
+        const blocked = !st.canDiscard || botTurn(st);
+        cards.forEach(card => {
+            const btn = card.querySelector('.card-mini.discard');
+            if (!btn) return;
+            btn.disabled = blocked;
+            if (blocked) btn.setAttribute('aria-disabled', 'true');
+            else btn.removeAttribute('aria-disabled');
+        });
+        const endBtn = document.getElementById('end-turn');
+        if (endBtn) {
+            endBtn.classList.toggle('hidden', !st.turnRules.enabled);
+            endBtn.disabled = !playersTurn(st);
+        }
+        const hintBtn = document.getElementById('hint');
+        if (hintBtn) hintBtn.disabled = st.awaitingPlayer || st.paused || botTurn(st);
+    }
+
+    // Hot-seat: between turns the hand is hidden behind a "pass the device" screen, and a banner
+    // names the active player. Nothing needs handing over to or from the computer with one person.
+    function syncPassScreen(st){
+        const hotSeat = st.players.length > 1;
+        const hidden = hotSeat && st.awaitingPlayer && !st.gameOver && !skipsHandover(st);
+        handRow.classList.toggle('hidden', hidden || st.paused);
+        const screen = document.getElementById('pass-screen');
+        if (screen) {
+            screen.classList.toggle('hidden', !hidden);
+            const title = screen.querySelector('.pass-title');
+            if (title) title.textContent = `Pass to ${playerName(st.currentPlayer)}`;
+        }
+        // a puzzle is named in the banner instead
+        const banner = document.getElementById('turn-banner');
+        if (banner) {
+            banner.classList.toggle('hidden', !(hotSeat || st.puzzle) || hidden);
+            banner.textContent = hotSeat ? `${playerName(st.currentPlayer)}'s turn`
+                : (st.puzzle ? `Puzzle: ${st.puzzle.name}` : '');
+        }
+    }
+
+    // Timed modes: the Pause control shows in timed games, and while paused a screen covers the
+    // hand so nobody can study it with the clocks stopped
+    function timed(){
+        const t = game.getState().timer;
+        return t.attack || t.turnClock;
+    }
+
+    function syncPauseScreen(st){
+        const screen = document.getElementById('pause-screen');
+        if (screen) screen.classList.toggle('hidden', !st.paused);
+        const btn = document.getElementById('pause');
+        if (btn) {
+            btn.classList.toggle('hidden', !timed());
+            btn.disabled = st.gameOver || st.awaitingPlayer;
+            btn.textContent = st.paused ? 'Resume' : 'Pause';
+        }
+    }
+
+    function togglePause(){
+        if (!timed()) return;
+        if (!game.resume()) game.pause();
+    }
+
+    // minutes and seconds left on a countdown, rounded up so 0:00 means time is up
+    function formatClock(ms){
+        const secs = Math.ceil(ms / 1000);
+        return `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, '0')}`;
+    }
+
+    // the countdowns of the timed modes in play, red for the last LOW_TIME_MS of the game or the
+    // last LOW_MOVE_MS of a move
+    const LOW_TIME_MS = 30000;
+    const LOW_MOVE_MS = 5000;
+    function renderClock(clock, over = false){
+        const el = document.getElementById('clock');
+        if (!el) return;
+        el.classList.toggle('hidden', over || (clock.remaining === null && clock.moveRemaining === null));
+        [['.clock-attack', clock.remaining, 'left', LOW_TIME_MS], ['.clock-move', clock.moveRemaining, 'for this move', LOW_MOVE_MS]].forEach(([selector, ms, label, low]) => {
+            const span = el.querySelector(selector);
+            if (!span) return;
+            span.classList.toggle('low', ms !== null && ms <= low);
+            if (ms === null) { span.textContent = ''; return; }
+            span.innerHTML = `<span class="time"></span>${label}`;
+            span.querySelector('.time').textContent = formatClock(ms);
+        });
+    }
+
+    // the time rows of the results: play time, how Time Attack ended, the moves the turn clock
+    // forced, and the pace of the sets (from the play time each was declared at)
+    function timeResults(st){
+        const { clock, timer: t } = st;
+        const rows = [['Time played', formatDuration(clock.elapsed)]];
+        if (t.attack) rows.push(['Time Attack', clock.timeUp ? `${t.minutes} min, time ran out` : `${formatDuration(clock.remaining)} to spare`]);
+        if (t.turnClock) rows.push(['Moves forced by the clock', clock.timeouts]);
+        const times = st.collected.map(item => item.elapsed).filter(ms => typeof ms === 'number');
+        if (times.length) {
+            const gaps = times.map((ms, i) => ms - (i ? times[i - 1] : 0));
+            rows.push(['Average time per set', formatDuration(times[times.length - 1] / times.length)]);
+            rows.push(['Quickest set', formatDuration(Math.min(...gaps))]);
+        }
+        return rows;
+    }
+
+    // End-of-round results: final score (or the standings in hot-seat play), collections made,
+    // swatches left in hand, discards used, the time stats, a per-rule tally and a New Game action.
+    // A puzzle says whether it was solved, and offers another try or the next puzzle instead.
+    function renderResults(){
+        const container = document.getElementById('game-results');
+        if(!container) return;
+        const st = game.getState();
+        container.classList.toggle('hidden', !st.gameOver);
+        container.innerHTML = '';
+        if(!st.gameOver) return;
+
+        const list = st.collected;
+        const players = st.players;
+        const h = document.createElement('h3');
+        h.textContent = st.puzzle ? (st.puzzle.solved ? 'Puzzle Solved' : 'Puzzle Not Solved') : 'Game Over';
+        container.appendChild(h);
+
+        const score = document.createElement('p');
+        score.className = 'final-score';
+        const scores = players.map(p => p.score);
+        if (players.length > 1) {
+            const top = Math.max(...scores);
+            const winners = players.filter((p, i) => scores[i] === top).map(p => p.name);
+            score.textContent = winners.length === 1
+                ? `${winners[0]} wins with ${top} points`
+                : `Tie between ${winners.join(' and ')} on ${top} points`;
+        } else {
+            score.textContent = `Final Score: ${scores[0]}`;
+        }
+        container.appendChild(score);
+
+        const stats = document.createElement('dl');
+        stats.className = 'result-stats';
+        const standings = players.length > 1
+            ? players.map((p, i) => {
+                const sets = list.filter(item => (item.player || 0) === i).length;
+                return [p.name, `${scores[i]} pts, ${sets} ${sets === 1 ? 'set' : 'sets'}, ${p.discardCount} ${p.discardCount === 1 ? 'discard' : 'discards'}`];
+            })
+            : [];
+        standings.concat([
+            ['Collections made', list.length],
+            ['Swatches left in hand', players.reduce((n, p) => n + p.hand.filter(c => c.swatch).length, 0)],
+            ['Discards used', players.reduce((n, p) => n + p.discardCount, 0)]
+        ]).concat(st.puzzle ? [['Puzzle', st.puzzle.name], ['Goal', goalText(st.puzzle)]] : [])
+            .concat(st.turnRules.enabled && !st.puzzle ? [['Turns played', st.turn]] : []).concat(timeResults(st)).concat(st.seed ? [['Seed', st.seed]] : []).forEach(([label, value]) => {
+            const dt = document.createElement('dt');
+            dt.textContent = label;
+            const dd = document.createElement('dd');
+            dd.textContent = String(value);
+            stats.appendChild(dt);
+            stats.appendChild(dd);
+        });
+        container.appendChild(stats);
+
+        // one row per rule, in registry order, for the rules that were actually collected
+        COLLECTION_RULES.forEach(rule => {
+            const items = list.filter(item => item.name === rule.name);
+            if(items.length === 0) return;
+            const row = document.createElement('div');
+            row.className = 'score-row';
+            const points = items.reduce((sum, item) => sum + pointsFor(item), 0);
+            row.innerHTML = `<span class="name"></span><span class="count">× ${items.length}</span><span class="points">${points} pts</span>`;
+            row.querySelector('.name').textContent = rule.name;
+            container.appendChild(row);
+        });
+
+        const again = document.createElement('button');
+        again.type = 'button';
+        again.className = 'control';
+        again.textContent = st.puzzle ? 'Try Again' : 'New Game';
+        again.addEventListener('click', () => (st.puzzle ? playPuzzle(findPuzzle(st.puzzle.id) || st.puzzle) : newGame(st.seed)));
+        container.appendChild(again);
+        const next = st.puzzle && st.puzzle.solved ? nextPuzzle(st.puzzle.id) : null;
+        if (next) {
+            const nextBtn = document.createElement('button');
+            nextBtn.type = 'button';
+            nextBtn.className = 'control';
+            nextBtn.textContent = `Next Puzzle: ${next.name}`;
+            nextBtn.addEventListener('click', () => playPuzzle(next));
+            container.appendChild(nextBtn);
+        }
+        again.focus();
+    }
+
+    // Game history: one record per finished game, kept across sessions and separate from the
+    // current game's collected list. The newest HISTORY_LIMIT games are kept.
+    const HISTORY_KEY = 'gameHistory_v1';
+    const HISTORY_LIMIT = 500;
+    function loadHistory(){
+        try{
+            const list = JSON.parse(localStorage.getItem(HISTORY_KEY) || '[]');
+            return Array.isArray(list) ? list.filter(r => r && typeof r === 'object') : [];
+        }catch(e){ return []; }
+    }
+    function saveHistory(list){
+        try{ localStorage.setItem(HISTORY_KEY, JSON.stringify(list.slice(-HISTORY_LIMIT))); }catch(e){ /* noop */ }
+    }
+
+    // append the game that just ended to the history. In hot-seat play `score` is the winning score
+    // among the people and `scores` has every player's; `collections` and `discards` are the people's
+    // only (the computer's play doesn't count towards their records or achievements).
+    function recordGame(){
+        const st = game.getState();
+        // a puzzle's deal is set up, so it is kept out of the history; a solved one is kept by
+        // savePuzzleProgress() instead
+        if (st.puzzle) return;
+        const scores = st.players.map(p => p.score);
+        const people = st.players.filter(p => !p.bot);
+        const finishedAt = Date.now();
+        const history = loadHistory();
+        history.push({
+            finishedAt,
+            durationMs: Math.max(0, finishedAt - st.startedAt),
+            seed: st.seed,
+            players: st.players.length,
+            score: Math.max(0, ...scores.filter((score, i) => !st.players[i].bot)),
+            scores,
+            collections: peopleCollected().map(item => ({ name: item.name, points: pointsFor(item), player: item.player || 0 })),
+            discards: people.reduce((n, p) => n + p.discardCount, 0),
+            turns: st.turnRules.enabled ? st.turn : null,
+            palette: customPalette ? customPalette.name : `${geometry.hueCount} × ${geometry.levelCount} ${geometry.colorSpace.toUpperCase()}`
+        });
+        saveHistory(history);
+        renderStats();
+        checkAchievements(history[history.length - 1]);
+    }
+
+    // local calendar day (YYYY-MM-DD) of a timestamp, for the play streaks
+    function dayKey(ts){
+        const d = new Date(ts);
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    }
+
+    // Streaks: runs of consecutive calendar days with at least one finished game. The current streak
+    // is still alive if its last day is today or yesterday.
+    function playStreaks(history){
+        const days = Array.from(new Set(history.map(r => dayKey(r.finishedAt)))).sort();
+        const next = key => { const d = new Date(`${key}T12:00:00`); d.setDate(d.getDate() + 1); return dayKey(d.getTime()); };
+        let best = 0, run = 0, prev = null;
+        days.forEach(day => {
+            run = prev && next(prev) === day ? run + 1 : 1;
+            best = Math.max(best, run);
+            prev = day;
+        });
+        const today = dayKey(Date.now());
+        const alive = prev && (prev === today || next(prev) === today);
+        return { current: alive ? run : 0, best };
+    }
+
+    function formatDuration(ms){
+        const secs = Math.round(ms / 1000);
+        const m = Math.floor(secs / 60);
+        return m ? `${m}m ${String(secs % 60).padStart(2, '0')}s` : `${secs}s`;
+    }
+
+    // summary numbers for the stats view
+    function historyStats(history){
+        const played = history.length;
+        const total = history.reduce((n, r) => n + (r.score || 0), 0);
+        const best = history.reduce((top, r) => (!top || (r.score || 0) > (top.score || 0) ? r : top), null);
+        const durations = history.filter(r => Number.isFinite(r.durationMs)).map(r => r.durationMs);
+        // how many times each rule was completed, and in how many games
+        const rules = new Map();
+        history.forEach(r => {
+            const names = (r.collections || []).map(c => c.name);
+            names.forEach(name => {
+                const entry = rules.get(name) || { times: 0, games: 0 };
+                entry.times++;
+                rules.set(name, entry);
+            });
+            new Set(names).forEach(name => { rules.get(name).games++; });
+        });
+        return {
+            played,
+            average: played ? Math.round(total / played) : 0,
+            best,
+            averageDuration: durations.length ? durations.reduce((a, b) => a + b, 0) / durations.length : 0,
+            streaks: playStreaks(history),
+            rules
+        };
+    }
+
+    // Stats view: games played, scores, streaks and how often each rule has been completed
+    function renderStats(){
+        const body = document.querySelector('#stats .stats-body');
+        if (!body) return;
+        const history = loadHistory();
+        const stats = historyStats(history);
+        body.innerHTML = '';
+        const clearBtn = document.getElementById('clear-history');
+        if (clearBtn) clearBtn.disabled = history.length === 0;
+        if (!history.length) {
+            const p = document.createElement('p');
+            p.textContent = 'No finished games yet.';
+            body.appendChild(p);
+            return;
+        }
+        const summary = document.createElement('dl');
+        summary.className = 'result-stats';
+        [
+            ['Games played', stats.played],
+            ['Average score', stats.average],
+            ['Best score', `${stats.best.score} (${new Date(stats.best.finishedAt).toLocaleDateString()}${stats.best.seed ? `, seed ${stats.best.seed}` : ''})`],
+            ['Average game', formatDuration(stats.averageDuration)],
+            ['Current streak', `${stats.streaks.current} ${stats.streaks.current === 1 ? 'day' : 'days'}`],
+            ['Best streak', `${stats.streaks.best} ${stats.streaks.best === 1 ? 'day' : 'days'}`]
+        ].forEach(([label, value]) => {
+            const dt = document.createElement('dt');
+            dt.textContent = label;
+            const dd = document.createElement('dd');
+            dd.textContent = String(value);
+            summary.appendChild(dt);
+            summary.appendChild(dd);
+        });
+        body.appendChild(summary);
+
+        // rules in registry order first, then any from other geometries or palettes
+        const names = COLLECTION_RULES.map(r => r.name).filter(name => stats.rules.has(name))
+            .concat(Array.from(stats.rules.keys()).filter(name => !COLLECTION_RULES.some(r => r.name === name)));
+        names.forEach(name => {
+            const entry = stats.rules.get(name);
+            const row = document.createElement('div');
+            row.className = 'score-row';
+            row.innerHTML = `<span class="name"></span><span class="count">× ${entry.times}</span><span class="points">${Math.round(100 * entry.games / stats.played)}% of games</span>`;
+            row.querySelector('.name').textContent = name;
+            body.appendChild(row);
+        });
+    }
+
+    // one CSV row per game; rules are summarised as "Name × n" separated by semicolons
+    function historyCsv(history){
+        const cell = v => {
+            const text = v === null || v === undefined ? '' : String(v);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const header = ['finished_at', 'duration_s', 'seed', 'players', 'score', 'scores', 'collections', 'discards', 'turns', 'palette', 'rules'];
+        const rows = history.map(r => {
+            const counts = {};
+            (r.collections || []).forEach(c => { counts[c.name] = (counts[c.name] || 0) + 1; });
+            return [
+                new Date(r.finishedAt).toISOString(),
+                Math.round((r.durationMs || 0) / 1000),
+                r.seed || '',
+                r.players || 1,
+                r.score || 0,
+                (r.scores || []).join(' '),
+                (r.collections || []).length,
+                r.discards || 0,
+                r.turns,
+                r.palette || '',
+                Object.keys(counts).map(name => `${name} × ${counts[name]}`).join('; ')
+            ].map(cell).join(',');
+        });
+        return [header.join(',')].concat(rows).join('\n') + '\n';
+    }
+
+    (function wireStats(){
+        const jsonBtn = document.getElementById('export-history-json');
+        const csvBtn = document.getElementById('export-history-csv');
+        const clearBtn = document.getElementById('clear-history');
+        if (jsonBtn) jsonBtn.addEventListener('click', () => {
+            downloadFile('monochrome-history.json', JSON.stringify(loadHistory(), null, 2) + '\n', 'application/json');
+        });
+        if (csvBtn) csvBtn.addEventListener('click', () => {
+            downloadFile('monochrome-history.csv', historyCsv(loadHistory()), 'text/csv');
+        });
+        // clearing asks for a second click rather than a blocking confirm()
+        if (clearBtn) {
+            let armed = null;
+            clearBtn.addEventListener('click', () => {
+                if (!armed) {
+                    clearBtn.textContent = 'Click Again to Clear';
+                    armed = setTimeout(() => { armed = null; clearBtn.textContent = 'Clear History'; }, 4000);
+                    return;
+                }
+                clearTimeout(armed);
+                armed = null;
+                clearBtn.textContent = 'Clear History';
+                try{ localStorage.removeItem(HISTORY_KEY); }catch(e){ /* noop */ }
+                renderStats();
+                showToast({ title: 'Game history cleared' });
+            });
+        }
+        renderStats();
+    })();
+
+    // Achievements: milestones unlocked once and kept across games and reloads. Besides the unlock
+    // times, the store keeps the rules ever collected and the hues ever collected as a full value
+    // scale, since those milestones build up over many games. An undone declaration still counts.
+    // Each entry's test gets { progress, collected (this game's list), game (the record of a game that
+    // has just finished, else null), history }; `count`, where given, shows how far along it is.
+    const ACHIEVEMENTS_KEY = 'achievements_v1';
+    function loadAchievements(){
+        let stored;
+        try{ stored = JSON.parse(localStorage.getItem(ACHIEVEMENTS_KEY) || '{}'); }catch(e){ stored = {}; }
+        if (!stored || typeof stored !== 'object') stored = {};
+        return {
+            unlocked: stored.unlocked && typeof stored.unlocked === 'object' ? stored.unlocked : {},
+            rules: Array.isArray(stored.rules) ? stored.rules : [],
+            scaleHues: Array.isArray(stored.scaleHues) ? stored.scaleHues : []
+        };
+    }
+    function saveAchievements(progress){
+        try{ localStorage.setItem(ACHIEVEMENTS_KEY, JSON.stringify(progress)); }catch(e){ /* noop */ }
+    }
+
+    // the rules that can be collected with the current palette (Hue Triad needs a hue count divisible by 3)
+    function collectableRules(){
+        return COLLECTION_RULES.filter(r => !r.hueSteps || r.hueSteps.length > 0);
+    }
+
+    const ACHIEVEMENTS = [
+        { id: 'first-set', name: 'First Steps', description: 'Declare a collection',
+            test: ({ progress }) => progress.rules.length > 0 },
+        { id: 'every-rule', name: 'Rulebook', description: 'Collect every rule at least once',
+            count: ({ progress }) => [collectableRules().filter(r => progress.rules.includes(r.name)).length, collectableRules().length] },
+        { id: 'value-scale', name: 'Full Scale', description: 'Collect a Monochrome or Grey Value Scale',
+            test: ({ progress }) => progress.rules.includes('Monochrome Value Scale') || progress.rules.includes('Grey Value Scale') },
+        { id: 'scale-every-hue', name: 'Spectrum', description: 'Collect a Monochrome Value Scale in every hue',
+            count: ({ progress }) => [hues.filter(h => progress.scaleHues.includes(Math.round(h))).length, hues.length] },
+        { id: 'all-greys', name: 'Fifty Shades', description: 'Collect every Grey level in one game',
+            count: ({ collected }) => {
+                const greys = new Set();
+                collected.forEach(item => (item.swatches || []).forEach(sw => { if (sw && sw.hue === null) greys.add(sw.lightness); }));
+                return [neutralValues.filter(v => greys.has(v)).length, neutralValues.length];
+            } },
+        { id: 'no-discards', name: 'Steady Hand', description: 'Finish a game with at least one collection and no discards',
+            test: ({ game }) => !!game && game.discards === 0 && game.collections.length > 0 },
+        { id: 'high-score', name: 'Colourist', description: 'Score 80 points in one game',
+            test: ({ game }) => !!game && game.score >= 80 },
+        { id: 'challenge', name: 'Taking Turns', description: 'Finish a game with turn rules (challenge mode or hot-seat)',
+            test: ({ game }) => !!game && game.turns !== null },
+        { id: 'ten-games', name: 'Regular', description: 'Finish ten games',
+            count: ({ history }) => [Math.min(history.length, 10), 10] },
+        { id: 'streak', name: 'Daily Practice', description: 'Finish a game on three days in a row',
+            count: ({ history }) => [Math.min(playStreaks(history).best, 3), 3] }
+    ];
+
+    // whether an achievement's condition holds: its test, or its count reaching the target
+    function achieved(achievement, ctx){
+        if (achievement.test) return achievement.test(ctx);
+        const [done, of] = achievement.count(ctx);
+        return of > 0 && done >= of;
+    }
+
+    // note a declaration's rule (and, for a Monochrome Value Scale, its hue), then look for unlocks
+    function noteDeclaration(rule, swatchList){
+        const progress = loadAchievements();
+        if (!progress.rules.includes(rule.name)) progress.rules.push(rule.name);
+        if (rule.name === 'Monochrome Value Scale') {
+            const sw = swatchList.find(Boolean);
+            if (sw && sw.hue !== null && !progress.scaleHues.includes(Math.round(sw.hue))) progress.scaleHues.push(Math.round(sw.hue));
+        }
+        saveAchievements(progress);
+        checkAchievements(null);
+    }
+
+    // unlock whatever has been earned, with a toast for each
+    function checkAchievements(record){
+        const progress = loadAchievements();
+        const ctx = { progress, collected: peopleCollected(), game: record, history: loadHistory() };
+        const earned = ACHIEVEMENTS.filter(a => !progress.unlocked[a.id] && achieved(a, ctx));
+        if (!earned.length) { renderAchievements(); return; }
+        earned.forEach(a => { progress.unlocked[a.id] = Date.now(); });
+        saveAchievements(progress);
+        renderAchievements();
+        earned.forEach(a => showToast({ title: `Achievement unlocked: ${a.name}`, detail: a.description }));
+    }
+
+    // Gallery: every achievement, unlocked ones with the date, locked ones with their progress
+    function renderAchievements(){
+        const list = document.querySelector('#achievements .achievement-list');
+        if (!list) return;
+        const progress = loadAchievements();
+        const ctx = { progress, collected: peopleCollected(), game: null, history: loadHistory() };
+        list.innerHTML = '';
+        ACHIEVEMENTS.forEach(a => {
+            const at = progress.unlocked[a.id];
+            const li = document.createElement('li');
+            li.className = `achievement${at ? ' unlocked' : ''}`;
+            const name = document.createElement('span');
+            name.className = 'name';
+            name.textContent = a.name;
+            const description = document.createElement('span');
+            description.className = 'description';
+            description.textContent = a.description;
+            const state = document.createElement('span');
+            state.className = 'state';
+            if (at) state.textContent = `Unlocked ${new Date(at).toLocaleDateString()}`;
+            else if (a.count) { const [done, of] = a.count(ctx); state.textContent = `${done} / ${of}`; }
+            else state.textContent = 'Locked';
+            li.append(name, description, state);
+            list.appendChild(li);
+        });
+        const heading = document.querySelector('#achievements h2');
+        if (heading) heading.textContent = `Achievements (${ACHIEVEMENTS.filter(a => progress.unlocked[a.id]).length} of ${ACHIEVEMENTS.length})`;
     }
 
-    // If the pool is empty but there are discarded swatches, refresh the pool by
-    // moving discarded swatches back into the pool (shuffled).
-    function refillPoolIfEmpty(){
-        if(pool.length === 0 && discardedPool.length > 0){
-            shuffleArray(discardedPool);
-            pool.push(...discardedPool);
-            discardedPool.length = 0;
-            // update UI counts
-            renderStatus();
+    // Colour aids for one swatch element (card, palette box or collected-set swatch): the hue glyph
+    // and a value marker with one filled pip per level, V1 = one pip. They are always rendered and
+    // shown by the `colour-aids` class on <body>. Swatches saved without hue/lightness get none.
+    function addColourAids(el, sw){
+        el.querySelectorAll('.aid').forEach(node => node.remove());
+        if (!sw || sw.hue === undefined || sw.lightness === undefined) return;
+        const { isNeutral, hueIndex, level } = describeSwatch(sw);
+        const glyph = document.createElement('span');
+        glyph.className = 'aid aid-glyph';
+        glyph.setAttribute('aria-hidden', 'true');
+        // custom wheels whose angles fall between the 15° steps take the glyphs in wheel order
+        glyph.textContent = isNeutral ? NEUTRAL_GLYPH : (HUE_GLYPHS[sw.hue] || Object.values(HUE_GLYPHS)[hueIndex] || '?');
+        el.appendChild(glyph);
+        if (level !== null) {
+            const marker = document.createElement('span');
+            marker.className = 'aid aid-level';
+            marker.setAttribute('aria-hidden', 'true');
+            marker.textContent = '●'.repeat(level) + '○'.repeat(lightnessLevels.length - level);
+            el.appendChild(marker);
         }
     }
-    const assigned = new Map(); // cardElement -> swatch object
 
     // helper to apply a swatch object to a .card-media element
     function applySwatchToElement(swatchEl, sw) {
@@ -145,72 +777,561 @@ document.addEventListener('DOMContentLoaded', () => {
         // store the label in a data attribute and clear direct text; CSS ::after will render it
         swatchEl.dataset.label = sw.label;
         swatchEl.textContent = '';
-        const parts = sw.color.match(/(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/);
-        if (parts) {
-            const r = +parts[1], g = +parts[2], b = +parts[3];
-            const luminance = (0.299*r + 0.587*g + 0.114*b) / 255;
-            swatchEl.style.color = luminance > 0.6 ? '#000' : '#fff';
-        }
-    }
-
-    // initial assignment: pick random swatch for each card and remove from pool
-    cards.forEach(card => {
-        const swatchEl = card.querySelector('.card-media');
-        if (!swatchEl) return;
-        if (pool.length === 0) return; // should not happen
-        const idx = secureRandInt(pool.length);
-        const sw = pool.splice(idx, 1)[0];
-        assigned.set(card, sw);
-        applySwatchToElement(swatchEl, sw);
-    });
-    // initial status
-    renderStatus();
-
-    // Attach discard handlers: when discard clicked, swap in a random swatch from pool (unused)
-    document.querySelectorAll('.card-mini.discard').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            const card = btn.closest('.card');
-            if (!card) return;
+        swatchEl.style.color = labelColourFor(sw.color);
+        addColourAids(swatchEl, sw);
+        // the swatch area is hidden from screen readers, so the card itself names the colour
+        const card = swatchEl.closest('.card');
+        if (card) card.setAttribute('aria-label', `${card.dataset.name}: ${sw.label}`);
+    }
+
+    // clear a .card-media element that has no swatch left to show
+    function clearSwatchElement(swatchEl) {
+        swatchEl.style.background = '';
+        swatchEl.dataset.label = '';
+        swatchEl.textContent = '';
+        swatchEl.style.color = '';
+        const card = swatchEl.closest('.card');
+        if (card) card.setAttribute('aria-label', `${card.dataset.name}: empty`);
+    }
+
+    // create one card: swatch area plus its Discard button and Collect checkbox, labelled for screen
+    // readers. The card itself takes focus so it can be moved around the hand from the keyboard.
+    function createCard(number){
+        const word = NUMBER_WORDS[number - 1] || String(number);
+        const card = document.createElement('div');
+        card.className = 'card';
+        card.id = `card-${number}`;
+        card.dataset.name = `Card ${word}`;
+        card.tabIndex = 0;
+        card.setAttribute('role', 'article');
+        card.setAttribute('aria-label', card.dataset.name);
+        card.setAttribute('aria-keyshortcuts', 'Shift+ArrowLeft Shift+ArrowRight D C Space');
+        card.innerHTML = `
+            <div class="card-media" aria-hidden="true"></div>
+            <div class="card-controls" role="group" aria-label="Card ${word} actions">
+                <button class="card-mini discard" type="button" aria-label="Discard card ${word}">Discard</button>
+                <input class="card-mini collect" type="checkbox" id="collect-${number}" name="collect-${number}" aria-label="Collect for card ${word}">
+                <label for="collect-${number}">Collect</label>
+            </div>
+        `;
+        const discardBtn = card.querySelector('.card-mini.discard');
+        discardBtn.addEventListener('click', () => discardCard(card, discardBtn));
+        const input = card.querySelector('input.card-mini.collect');
+        input.addEventListener('change', () => {
+            // a tick the game refuses is taken back off the card
+            if (game.toggleCollect(card.id, input.checked) === null) input.checked = false;
+        });
+        return card;
+    }
+
+    // (re)build the hand row with `size` cards (the hand size setting unless a puzzle deals its own);
+    // existing cards are kept when the size already matches
+    function buildHand(size = handSize){
+        if (cards.length === size) return;
+        cards.length = 0;
+        handRow.innerHTML = '';
+        for (let i = 1; i <= size; i++) {
+            const card = createCard(i);
+            cards.push(card);
+            handRow.appendChild(card);
+        }
+    }
+
+    // show the active player's hand on the cards: swatches, Collect ticks, and empty cards (which
+    // cannot be collected) disabled. When the game is over or the computer is playing, the whole
+    // hand is locked.
+    function renderHand(st){
+        const p = st.players[st.currentPlayer];
+        cards.forEach((card, slot) => {
             const swatchEl = card.querySelector('.card-media');
-            if (!swatchEl) return;
-
-            // try to refill from discarded pool if needed
-            refillPoolIfEmpty();
-
-            if (pool.length === 0) {
-                // no unused swatches available
-                // visual feedback: briefly pulse the button
-                btn.animate([
-                    { transform: 'scale(1)' },
-                    { transform: 'scale(0.96)' },
-                    { transform: 'scale(1)' }
-                ], { duration: 220 });
-                return;
+            const input = card.querySelector('input.card-mini.collect');
+            const c = p ? p.hand[slot] : null;
+            if (swatchEl) {
+                if (c && c.swatch) applySwatchToElement(swatchEl, c.swatch);
+                else clearSwatchElement(swatchEl);
+            }
+            if (input) {
+                const locked = st.gameOver || botTurn(st) || !c || !c.swatch;
+                input.checked = !!(c && c.selected);
+                input.disabled = locked;
+                if (locked) input.setAttribute('aria-disabled', 'true');
+                else input.removeAttribute('aria-disabled');
             }
+        });
+    }
+
+    // New Game: deal again with the settings as they stand (see newGame() in engine.js)
+    function newGame(seed){
+        buildHand();
+        hideResumePrompt();
+        game.newGame(Object.assign({ seed, geometry, palette: customPalette, handSize, challenge, timer }, seats()));
+        renderPalette();
+        syncSeedControls();
+    }
 
-            // pick a random unused swatch from pool
-            const idx = secureRandInt(pool.length);
-            const newSw = pool.splice(idx, 1)[0];
+    // Saved game: a versioned snapshot of the whole game (see snapshot() in engine.js), written after
+    // every change so a reload can pick up where the player left off. readSnapshot() ignores
+    // versions it doesn't know.
+    const SAVE_KEY = 'savedGame';
+
+    function saveGame(st){
+        try {
+            // a finished game has nothing left to resume
+            if (st.gameOver) localStorage.removeItem(SAVE_KEY);
+            else localStorage.setItem(SAVE_KEY, JSON.stringify(game.snapshot()));
+        } catch (e) { /* noop */ }
+    }
 
-            // move current swatch into the discarded pool (player discarded it)
-            const current = assigned.get(card);
-            if (current) discardedPool.push(current);
+    // Undo/redo: discards, Collect ticks and declarations can be taken back (see undo() in
+    // engine.js). The history only covers the game in progress, and in hot-seat play only the
+    // current turn.
+    function undo(){
+        if (botTurn(game.getState())) return;
+        const label = game.undo();
+        if (label) announceHand(`Undid ${label}.`);
+    }
+    function redo(){
+        if (botTurn(game.getState())) return;
+        const label = game.redo();
+        if (label) announceHand(`Redid ${label}.`);
+    }
 
-            // assign new swatch to card
-            assigned.set(card, newSw);
-            applySwatchToElement(swatchEl, newSw);
-            // update status UI after discard
-            renderStatus();
+    // enable Undo and Redo only when there is something to step to, and name it
+    function syncUndoControls(){
+        const next = botTurn(game.getState()) ? { undo: null, redo: null } : game.history();
+        [['undo', next.undo, 'Undo'], ['redo', next.redo, 'Redo']].forEach(([id, label, verb]) => {
+            const btn = document.getElementById(id);
+            if (!btn) return;
+            btn.disabled = !label;
+            btn.title = label ? `${verb} ${label}` : `Nothing to ${verb.toLowerCase()}`;
         });
+    }
+
+    // read the saved snapshot; returns null when there is none, it can't be used with this version, or
+    // it is already over under this version's rules (a finished game has nothing left to resume)
+    function readSavedGame(){
+        let snap;
+        try { snap = readSnapshot(JSON.parse(localStorage.getItem(SAVE_KEY) || 'null')); } catch (e) { return null; }
+        // tried on a game of its own, so a save that is over doesn't end the one on the table
+        const probe = snap && createGame();
+        return probe && probe.restore(snap) && !probe.getState().gameOver ? snap : null;
+    }
+
+    // restore the game from a snapshot produced by saveGame(), taking on the settings it was played
+    // with (a puzzle brings its own and leaves the settings alone)
+    function restoreGame(snapshot){
+        if (!game.restore(snapshot)) return false;
+        const st = game.getState();
+        if (!st.puzzle) {
+            setCustomPalette(st.palette);
+            setGeometry(st.geometry);
+            setHandSize(st.handSize);
+            setPlayerCount(st.bots.filter(bot => !bot).length);
+            setOpponent(st.bots.find(Boolean) || 'none');
+            setChallenge(st.challenge);
+            setTimer(st.timer);
+            syncSettingsForm();
+        }
+        buildHand(st.handSize);
+        renderHand(st);
+        renderPalette();
+        syncSeedControls();
+        return true;
+    }
+
+    // Resume prompt: the saved game is shown straight away; the player can keep it or start over
+    function showResumePrompt(snapshot, newGameSeed){
+        const prompt = document.getElementById('resume-prompt');
+        if (!prompt) return;
+        const text = prompt.querySelector('.resume-text');
+        if (text) {
+            const when = new Date(snapshot.savedAt).toLocaleString();
+            const sets = Array.isArray(snapshot.collected) ? snapshot.collected.length : 0;
+            const players = game.getState().players;
+            const scores = players.length > 1
+                ? players.map(p => `${p.name} ${p.score}`).join(', ')
+                : `score ${players[0].score}`;
+            text.textContent = `Resumed your game saved ${when} (${sets} ${sets === 1 ? 'set' : 'sets'} collected, ${scores}).`;
+        }
+        const resumeBtn = document.getElementById('resume-game');
+        const restartBtn = document.getElementById('restart-game');
+        if (resumeBtn) resumeBtn.addEventListener('click', hideResumePrompt);
+        if (restartBtn) restartBtn.addEventListener('click', () => newGame(newGameSeed));
+        prompt.classList.remove('hidden');
+    }
+
+    function hideResumePrompt(){
+        const prompt = document.getElementById('resume-prompt');
+        if (prompt) prompt.classList.add('hidden');
+    }
+
+    // reflect the active seed in the Seed field and the page URL so the deal can be shared
+    function syncSeedControls(){
+        const seed = game.getState().seed;
+        const field = document.getElementById('seed-input');
+        if (field) field.value = seed;
+        try {
+            const url = new URL(window.location.href);
+            if (seed) url.searchParams.set('seed', seed);
+            else url.searchParams.delete('seed');
+            history.replaceState(null, '', url);
+        } catch (e) { /* noop */ }
+    }
+
+    // Computer opponent: its turns play out on the table one move at a time, BOT_STEP_MS apart.
+    // Each move is shown before it is made (its cards highlighted the way a hint does, and the
+    // reasoning added to the log) so players can follow what it does and why.
+    const BOT_STEP_MS = 1200;
+    const BOT_LOG_LIMIT = 12;
+    let botTimer = null;
+    let botLog = []; // this game's computer moves, newest first: [{ turn, text, reason }]
+
+    function describeMove(move){
+        if (move.type === 'declare') return `Declares ${move.name} (+${move.points})`;
+        if (move.type === 'discard') return move.swatch ? `Discards ${move.swatch.label}` : 'Fills an empty card';
+        return 'Ends the turn';
+    }
+
+    // the log panel, shown while the computer has a seat
+    function renderBotLog(st){
+        const panel = document.getElementById('bot-panel');
+        if (!panel) return;
+        panel.classList.toggle('hidden', !st.players.some(p => p.bot));
+        const list = panel.querySelector('.bot-log');
+        list.innerHTML = '';
+        botLog.slice(0, BOT_LOG_LIMIT).forEach(entry => {
+            const li = document.createElement('li');
+            const move = document.createElement('span');
+            move.className = 'move';
+            move.textContent = `Turn ${entry.turn}: ${entry.text}.`;
+            li.append(move, ` ${entry.reason}`);
+            list.appendChild(li);
+        });
+    }
+
+    // highlight and log the move the computer is about to make
+    function showBotMove(move){
+        const st = game.getState();
+        clearHint();
+        if (move.type === 'declare') cards.filter(card => move.ids.includes(card.id)).forEach(card => card.classList.add('hinted'));
+        if (move.type === 'discard') document.getElementById(move.id).classList.add('hint-discard');
+        botLog.unshift({ turn: st.turn, text: describeMove(move), reason: move.reason });
+        renderBotLog(st);
+    }
+
+    // After every change: start a turn that needs no handover (the computer's straight after a
+    // pause, a lone person's at once), or line up the computer's next move. A new game or restore
+    // drops whatever was lined up.
+    function scheduleBot(st){
+        clearTimeout(botTimer);
+        botTimer = null;
+        if (st.gameOver || st.paused || !st.players.length) return;
+        const seat = st.players[st.currentPlayer];
+        if (st.awaitingPlayer) {
+            if (skipsHandover(st)) botTimer = setTimeout(() => game.startTurn(), seat.bot ? BOT_STEP_MS : 0);
+            return;
+        }
+        if (!seat.bot) return;
+        botTimer = setTimeout(() => {
+            const move = chooseMove(game, seat.bot);
+            if (!move) return;
+            showBotMove(move);
+            botTimer = setTimeout(() => playMove(game, move), BOT_STEP_MS);
+        }, BOT_STEP_MS);
+    }
+
+    // Redraw whatever the game's state says after every action, and save it
+    game.on('change', ({ action }) => {
+        const st = game.getState();
+        renderHand(st);
+        // the hand or pools changed, so any hint on screen is stale
+        if (action !== 'select') clearHint();
+        if (['declare', 'undo', 'redo', 'newgame', 'restore'].includes(action)) {
+            saveCollected(st.collected);
+            renderCollectedList();
+        }
+        renderStatus();
+        validateSelection();
+        renderResults();
+        saveGame(st);
+        syncUndoControls();
+        if (action === 'newgame' || action === 'restore') botLog = [];
+        renderBotLog(st);
+        scheduleBot(st);
+    });
+
+    // a declaration gets a toast, and any achievements it unlocks (here or at the end of the game)
+    // toast after it. The computer's declarations unlock nothing.
+    game.on('declare', ({ entry, rule }) => {
+        const p = game.getState().players[entry.player || 0];
+        const bot = !!(p && p.bot);
+        showToast({
+            title: `${bot ? `${p.name}: ` : ''}${rule.name} collected (+${rule.points} ${rule.points === 1 ? 'point' : 'points'})`,
+            swatches: entry.swatches,
+            detail: `${rule.name}: ${rule.description}.`
+        });
+        if (!bot) noteDeclaration(rule, entry.swatches);
+    });
+
+    game.on('gameover', recordGame);
+
+    // the timed modes: a forced move or the end of Time Attack gets a toast
+    game.on('timeout', ({ player, discarded }) => {
+        showToast({
+            kind: 'error',
+            title: `Time's up for ${playerName(player)}'s move`,
+            detail: discarded ? `${discarded.label} was discarded.` : 'Nothing could be discarded.'
+        });
+    });
+    game.on('gameover', ({ timeUp }) => {
+        if (timeUp) showToast({ title: "Time's up", detail: 'Time Attack is over.' });
     });
+    game.on('tick', clock => renderClock(clock));
+
+    // a puzzle's result gets a toast, and a solved one is remembered with its fewest discards (a
+    // draft tried out from the editor has no id yet, so nothing is kept for it)
+    game.on('gameover', ({ solved }) => {
+        const { puzzle, players } = game.getState();
+        if (!puzzle) return;
+        const discards = players[0].discardCount;
+        if (!solved) {
+            showToast({ kind: 'error', title: `${puzzle.name} not solved`, detail: 'Nothing more can be collected. Try again from the results.' });
+            return;
+        }
+        if (puzzle.id) {
+            const progress = loadPuzzleProgress();
+            const best = progress[puzzle.id];
+            if (!best || discards < best.discards) progress[puzzle.id] = { solvedAt: Date.now(), discards };
+            savePuzzleProgress(progress);
+            renderPuzzles();
+        }
+        showToast({ title: `${puzzle.name} solved`, detail: `With ${discards} of ${puzzle.discards} discards.` });
+    });
+
+    // Exporting collected sets as palettes designers can use elsewhere. Each format turns a list of
+    // sets ({ name, points, swatches: [{ color, label }] }) into file contents; a single set is
+    // just a list of one.
+    function exportColours(set){
+        return (set.swatches || []).filter(sw => sw && parseColour(sw.color)).map(sw => {
+            const rgb = parseColour(sw.color);
+            return { hex: rgbToHex(sw.color), rgb, label: sw.label || rgbToHex(sw.color) };
+        });
+    }
+
+    function escapeXml(text){
+        return String(text).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[c]));
+    }
+
+    // Adobe Swatch Exchange: 'ASEF', version 1.0, a block count, then one group per set holding
+    // its colours as RGB floats. Names are null-terminated UTF-16BE with a length in code units.
+    function buildAse(sets){
+        const blocks = [];
+        const nameBytes = name => {
+            const text = String(name) + '\0';
+            const bytes = new Uint8Array(2 + text.length * 2);
+            const view = new DataView(bytes.buffer);
+            view.setUint16(0, text.length);
+            for (let i = 0; i < text.length; i++) view.setUint16(2 + i * 2, text.charCodeAt(i));
+            return bytes;
+        };
+        const block = (type, body) => {
+            const bytes = new Uint8Array(6 + body.length);
+            const view = new DataView(bytes.buffer);
+            view.setUint16(0, type);
+            view.setUint32(2, body.length);
+            bytes.set(body, 6);
+            blocks.push(bytes);
+        };
+        sets.forEach(set => {
+            block(0xC001, nameBytes(set.name));
+            exportColours(set).forEach(c => {
+                const name = nameBytes(c.label);
+                const body = new Uint8Array(name.length + 4 + 12 + 2);
+                const view = new DataView(body.buffer);
+                body.set(name, 0);
+                body.set([0x52, 0x47, 0x42, 0x20], name.length); // 'RGB '
+                c.rgb.forEach((v, i) => view.setFloat32(name.length + 4 + i * 4, v / 255));
+                view.setUint16(name.length + 16, 2); // normal (process) colour
+                block(0x0001, body);
+            });
+            block(0xC002, new Uint8Array(0));
+        });
+        const size = blocks.reduce((n, b) => n + b.length, 12);
+        const out = new Uint8Array(size);
+        const view = new DataView(out.buffer);
+        out.set([0x41, 0x53, 0x45, 0x46], 0); // 'ASEF'
+        view.setUint16(4, 1);
+        view.setUint16(6, 0);
+        view.setUint32(8, blocks.length);
+        let offset = 12;
+        blocks.forEach(b => { out.set(b, offset); offset += b.length; });
+        return out.buffer;
+    }
+
+    const SET_EXPORTS = {
+        css: {
+            label: 'CSS variables', ext: 'css', type: 'text/css',
+            build: sets => {
+                const lines = [':root {'];
+                sets.forEach((set, si) => {
+                    const prefix = sets.length > 1 ? `set-${si + 1}-${slugify(set.name)}` : slugify(set.name);
+                    lines.push(`    /* ${set.name.replace(/\*\//g, '')} */`);
+                    exportColours(set).forEach((c, ci) => lines.push(`    --${prefix}-${ci + 1}: ${c.hex}; /* ${c.label.replace(/\*\//g, '')} */`));
+                });
+                lines.push('}');
+                return lines.join('\n') + '\n';
+            }
+        },
+        json: {
+            label: 'JSON', ext: 'json', type: 'application/json',
+            build: sets => JSON.stringify({
+                format: 'monochrome-sets',
+                version: 1,
+                sets: sets.map(set => ({
+                    name: set.name,
+                    points: set.points,
+                    colors: exportColours(set).map(c => ({ label: c.label, hex: c.hex, rgb: c.rgb }))
+                }))
+            }, null, 2) + '\n'
+        },
+        svg: {
+            label: 'SVG strip', ext: 'svg', type: 'image/svg+xml',
+            // one row per set: its name, then a labelled square per colour
+            build: sets => {
+                const size = 80, gap = 8, rowHeight = size + 56;
+                const columns = Math.max(1, ...sets.map(set => exportColours(set).length));
+                const width = columns * (size + gap) + gap;
+                const rows = sets.map((set, si) => {
+                    const y = gap + si * rowHeight;
+                    const squares = exportColours(set).map((c, ci) => {
+                        const x = gap + ci * (size + gap);
+                        return `  <rect x="${x}" y="${y + 20}" width="${size}" height="${size}" rx="6" fill="${c.hex}"/>\n` +
+                            `  <text x="${x}" y="${y + size + 36}" font-size="10">${escapeXml(c.label)}</text>\n` +
+                            `  <text x="${x}" y="${y + size + 49}" font-size="10" fill="#555">${c.hex}</text>`;
+                    });
+                    return [`  <text x="${gap}" y="${y + 12}" font-size="13" font-weight="600">${escapeXml(set.name)}</text>`].concat(squares).join('\n');
+                });
+                const height = sets.length * rowHeight + gap;
+                return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif">\n${rows.join('\n')}\n</svg>\n`;
+            }
+        },
+        ase: { label: 'Adobe ASE', ext: 'ase', type: 'application/octet-stream', build: buildAse }
+    };
+
+    // an "Export" disclosure with one button per format; getSets is read when a button is pressed
+    function exportMenu(getSets, basename, what){
+        const menu = document.createElement('details');
+        menu.className = 'export-menu';
+        const summary = document.createElement('summary');
+        summary.textContent = 'Export';
+        summary.setAttribute('aria-label', `Export ${what}`);
+        menu.appendChild(summary);
+        Object.keys(SET_EXPORTS).forEach(key => {
+            const format = SET_EXPORTS[key];
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'card-mini';
+            btn.textContent = format.label;
+            btn.setAttribute('aria-label', `Export ${what} as ${format.label}`);
+            btn.addEventListener('click', () => {
+                downloadFile(`${basename}.${format.ext}`, format.build(getSets()), format.type);
+                menu.open = false;
+            });
+            menu.appendChild(btn);
+        });
+        return menu;
+    }
+
+    // On load resume a saved game if there is one, otherwise deal a new game seeded from ?seed=... when present
+    (function startOrResume(){
+        const urlSeed = new URLSearchParams(window.location.search).get('seed');
+        const saved = readSavedGame();
+        if (saved && restoreGame(saved)) {
+            showResumePrompt(saved, urlSeed);
+        } else {
+            newGame(urlSeed);
+        }
+    })();
+
+    // New Game control: deal again using whatever is in the Seed field (empty = secure random)
+    (function wireNewGame(){
+        const newBtn = document.getElementById('new-game');
+        const field = document.getElementById('seed-input');
+        if (!newBtn) return;
+        newBtn.addEventListener('click', () => newGame(field ? field.value : ''));
+        if (field) field.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') newGame(field.value);
+        });
+    })();
+
+    // The clocks tick CLOCK_TICK_MS apart. Pause and Resume, also on T; a timed game pauses by
+    // itself when the page is hidden, and the clocks are saved as the page goes away.
+    const CLOCK_TICK_MS = 250;
+    (function wireClock(){
+        setInterval(() => game.tick(), CLOCK_TICK_MS);
+        const pauseBtn = document.getElementById('pause');
+        const resumeBtn = document.getElementById('resume');
+        if (pauseBtn) pauseBtn.addEventListener('click', togglePause);
+        if (resumeBtn) resumeBtn.addEventListener('click', () => game.resume());
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden && timed()) game.pause();
+        });
+        window.addEventListener('pagehide', () => saveGame(game.getState()));
+    })();
+
+    // End Turn control (challenge mode and hot-seat): move on to the next turn without declaring
+    (function wireEndTurn(){
+        const endBtn = document.getElementById('end-turn');
+        if (!endBtn) return;
+        endBtn.addEventListener('click', () => game.endTurn());
+    })();
+
+    // Start Turn control (hot-seat): the next player has the device, so reveal their hand
+    (function wireStartTurn(){
+        const startBtn = document.getElementById('start-turn');
+        if (!startBtn) return;
+        startBtn.addEventListener('click', () => game.startTurn());
+    })();
 
-    // Render full palette grid as 13x5: columns = 12 hues + 1 neutral column (on the right), rows = V1..V5
-    (function renderPalette(){
+    // Undo and Redo controls, also on Ctrl+Z and Ctrl+Shift+Z or Ctrl+Y (Cmd on a Mac). Text fields
+    // keep the browser's own undo.
+    (function wireUndo(){
+        const undoBtn = document.getElementById('undo');
+        const redoBtn = document.getElementById('redo');
+        if (undoBtn) undoBtn.addEventListener('click', undo);
+        if (redoBtn) redoBtn.addEventListener('click', redo);
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey || e.defaultPrevented) return;
+            const tag = e.target.tagName;
+            if (tag === 'SELECT' || tag === 'TEXTAREA' || (tag === 'INPUT' && e.target.type !== 'checkbox') || e.target.isContentEditable) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) { e.preventDefault(); undo(); }
+            else if ((key === 'z' && e.shiftKey) || key === 'y') { e.preventDefault(); redo(); }
+        });
+        syncUndoControls();
+    })();
+
+    // Discard: swap the card's swatch for a random one from the pool (see discard() in engine.js)
+    function discardCard(card, btn){
+        if (game.discard(card.id) || !game.getState().canDiscard) return;
+        // no unused swatches available
+        // visual feedback: briefly pulse the button
+        btn.animate([
+            { transform: 'scale(1)' },
+            { transform: 'scale(0.96)' },
+            { transform: 'scale(1)' }
+        ], { duration: 220 });
+    }
+
+    // Render full palette grid: one column per hue + 1 neutral column (on the right), one row per value level
+    // (13x5 with the default geometry)
+    function renderPalette(){
         const paletteContainer = document.querySelector('#palette .palette-grid');
         if (!paletteContainer) return;
+        paletteContainer.style.setProperty('--palette-columns', String(hues.length + 1));
 
-        // We'll build the grid row-by-row: for each value level (V1..V5) append 12 hues left-to-right, then the neutral for that level
-        // Helper to compute lightness for a given levelLabel (1..5 where 1 = lightest)
+        // We'll build the grid row-by-row: for each value level (V1..Vn) append the hues left-to-right, then the neutral for that level
+        // Helper to compute lightness for a given levelLabel (1..n where 1 = lightest)
         function lightnessForLevel(levelLabel){
             return lightnessLevels[lightnessLevels.length - levelLabel];
         }
@@ -239,17 +1360,14 @@ document.addEventListener('DOMContentLoaded', () => {
 
                 const item = document.createElement('div');
                 item.className = 'palette-swatch';
+                item.dataset.label = sw.label;
 
                 const box = document.createElement('div');
                 box.className = 'palette-box';
                 box.style.background = sw.color;
-                const parts = sw.color.match(/(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/);
-                if (parts) {
-                    const r = +parts[1], g = +parts[2], b = +parts[3];
-                    const luminance = (0.299*r + 0.587*g + 0.114*b) / 255;
-                    box.style.color = luminance > 0.6 ? '#000' : '#fff';
-                }
+                box.style.color = labelColourFor(sw.color);
                 box.textContent = sw.label;
+                addColourAids(box, sw);
 
                 const label = document.createElement('div');
                 label.className = 'palette-label';
@@ -260,23 +1378,20 @@ document.addEventListener('DOMContentLoaded', () => {
                 paletteContainer.appendChild(item);
             }
 
-            // append the neutral for this level as the final (13th) column
+            // append the neutral for this level as the final column
             const neutralLightness = neutralValues[levelLabel - 1];
             const neutralSw = findNeutralByLightness(neutralLightness);
             if (neutralSw) {
                 const nitem = document.createElement('div');
                 nitem.className = 'palette-swatch';
+                nitem.dataset.label = neutralSw.label;
 
                 const nbox = document.createElement('div');
                 nbox.className = 'palette-box';
                 nbox.style.background = neutralSw.color;
-                const nparts = neutralSw.color.match(/(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/);
-                if (nparts) {
-                    const r = +nparts[1], g = +nparts[2], b = +nparts[3];
-                    const luminance = (0.299*r + 0.587*g + 0.114*b) / 255;
-                    nbox.style.color = luminance > 0.6 ? '#000' : '#fff';
-                }
+                nbox.style.color = labelColourFor(neutralSw.color);
                 nbox.textContent = neutralSw.label;
+                addColourAids(nbox, neutralSw);
 
                 const nlabel = document.createElement('div');
                 nlabel.className = 'palette-label';
@@ -287,497 +1402,1025 @@ document.addEventListener('DOMContentLoaded', () => {
                 paletteContainer.appendChild(nitem);
             }
         }
-    })();
+        markPicks();
+    }
+    renderPalette();
+
+    // Settings panel: choose the palette geometry (hue count, value levels, saturation), the hand
+    // size, the number of hot-seat players, a computer opponent, challenge mode and the timed modes.
+    // Applying rebuilds the swatches, rules and hand and starts a new game, since the old hand no
+    // longer fits.
+    function syncSettingsForm(){
+        const form = document.getElementById('settings-form');
+        if (!form) return;
+        form.elements.hueCount.value = String(geometry.hueCount);
+        form.elements.levelCount.value = String(geometry.levelCount);
+        form.elements.saturation.value = String(geometry.saturation);
+        form.elements.colorSpace.value = geometry.colorSpace;
+        form.elements.handSize.value = String(handSize);
+        form.elements.players.value = String(playerCount);
+        form.elements.opponent.value = opponent;
+        form.elements.challenge.checked = challenge.enabled;
+        form.elements.discardBudget.value = String(challenge.budget);
+        form.elements.budgetScope.value = challenge.scope;
+        form.elements.declareEffect.value = challenge.onDeclare;
+        form.elements.timeAttack.checked = timer.attack;
+        form.elements.attackMinutes.value = String(timer.minutes);
+        form.elements.turnClock.checked = timer.turnClock;
+        form.elements.turnSeconds.value = String(timer.turnSeconds);
+        form.elements.colourAids.checked = aids.glyphs;
+        form.elements.simulate.value = aids.simulate;
+        const out = form.querySelector('output[name="saturationValue"]');
+        if (out) out.value = `${geometry.saturation}%`;
+        // a custom palette brings its own hues, levels and colours
+        ['hueCount', 'levelCount', 'saturation', 'colorSpace'].forEach(name => { form.elements[name].disabled = !!customPalette; });
+        const source = form.querySelector('.palette-source');
+        if (source) {
+            source.textContent = customPalette
+                ? `Custom palette: ${customPalette.name} (${customPalette.hues.length} hues × ${customPalette.neutrals.length} levels)`
+                : 'Built-in palette';
+        }
+        const builtinBtn = document.getElementById('palette-builtin');
+        if (builtinBtn) builtinBtn.disabled = !customPalette;
+    }
 
-    // Declare Collection: evaluate the current hand and report any matching collections
-    (function wireDeclareCollection(){
-        const btn = document.getElementById('declare-collection');
-        if (!btn) return;
+    // switch to a new geometry; the palette and rules are rebuilt when the next game is dealt
+    function setGeometry(g){
+        geometry = normalizeGeometry(g);
+        saveGeometry(geometry);
+        syncSettingsForm();
+    }
 
-        // helpers
-        function getCardDataArray(){
-            // returns array of {el, id, sw, isNeutral, hueIndex, level} for ONLY selected cards (checked 'collect')
-            const selected = cards.filter(card => {
-                const input = card.querySelector('input.card-mini.collect');
-                return input && input.checked && !input.disabled;
-            });
-            return selected.map(card => {
-                const sw = assigned.get(card);
-                const isNeutral = !sw || sw.hue === null;
-                let hueIndex = null;
-                if (!isNeutral) {
-                    hueIndex = hues.findIndex(h => h === sw.hue);
-                }
-                // compute level: 1..5 where 1 = lightest
-                let level = null;
-                if (isNeutral) {
-                    const ni = neutralValues.indexOf(sw.lightness);
-                    level = ni === -1 ? null : ni + 1;
-                } else {
-                    const li = lightnessLevels.indexOf(sw.lightness);
-                    level = li === -1 ? null : (lightnessLevels.length - li);
+    (function wireSettings(){
+        const form = document.getElementById('settings-form');
+        if (!form) return;
+        syncSettingsForm();
+        form.elements.saturation.addEventListener('input', () => {
+            const out = form.querySelector('output[name="saturationValue"]');
+            if (out) out.value = `${form.elements.saturation.value}%`;
+        });
+        // the colour aids take effect as soon as they change
+        [form.elements.colourAids, form.elements.simulate].forEach(field => field.addEventListener('change', () => {
+            setAids({ glyphs: form.elements.colourAids.checked, simulate: form.elements.simulate.value });
+        }));
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            // read every field before applying anything: setGeometry() re-syncs the form
+            const chosen = {
+                handSize: form.elements.handSize.value,
+                players: form.elements.players.value,
+                opponent: form.elements.opponent.value,
+                geometry: {
+                    hueCount: form.elements.hueCount.value,
+                    levelCount: form.elements.levelCount.value,
+                    saturation: form.elements.saturation.value,
+                    colorSpace: form.elements.colorSpace.value
+                },
+                challenge: {
+                    enabled: form.elements.challenge.checked,
+                    budget: form.elements.discardBudget.value,
+                    scope: form.elements.budgetScope.value,
+                    onDeclare: form.elements.declareEffect.value
+                },
+                timer: {
+                    attack: form.elements.timeAttack.checked,
+                    minutes: form.elements.attackMinutes.value,
+                    turnClock: form.elements.turnClock.checked,
+                    turnSeconds: form.elements.turnSeconds.value
                 }
-                return { el: card, id: card.id || null, sw, isNeutral, hueIndex, level };
+            };
+            setHandSize(chosen.handSize);
+            setPlayerCount(chosen.players);
+            setOpponent(chosen.opponent);
+            setChallenge(chosen.challenge);
+            setTimer(chosen.timer);
+            setGeometry(chosen.geometry);
+            const field = document.getElementById('seed-input');
+            newGame(field ? field.value : game.getState().seed);
+        });
+    })();
+
+    // Simulator: every computer strategy plays the same seeded solo games with the current settings
+    // (see simulateGame() in bot.js), one game per tick so the page stays responsive, and the
+    // results are tabulated per strategy.
+    const SIMULATE_LIMIT = 500;
+    function renderSimulation(summaries, games){
+        const results = document.querySelector('#simulate .simulate-results');
+        if (!results) return;
+        results.innerHTML = '';
+        const table = document.createElement('table');
+        table.className = 'simulate-table';
+        table.innerHTML = '<thead><tr><th scope="col">Strategy</th><th scope="col">Average</th><th scope="col">Best</th><th scope="col">Worst</th><th scope="col">Sets</th><th scope="col">Discards</th></tr></thead><tbody></tbody>';
+        summaries.forEach(s => {
+            const tr = document.createElement('tr');
+            [s.name, s.average.toFixed(1), s.best, s.worst, s.sets.toFixed(1), s.discards.toFixed(1)].forEach((value, i) => {
+                const cell = document.createElement(i === 0 ? 'th' : 'td');
+                if (i === 0) cell.scope = 'row';
+                cell.textContent = String(value);
+                tr.appendChild(cell);
             });
-        }
+            table.tBodies[0].appendChild(tr);
+        });
+        results.appendChild(table);
+        const note = document.createElement('p');
+        const unfinished = summaries.reduce((n, s) => n + s.games - s.finished, 0);
+        note.textContent = `${games} solo ${games === 1 ? 'game' : 'games'} per strategy on the same deals; sets and discards are per game.`
+            + (unfinished ? ` ${unfinished} stopped unfinished after ${MAX_MOVES} moves.` : '');
+        results.appendChild(note);
+    }
 
-        // generate k-combinations of indices [0..n-1]
-        function combinations(n, k){
-            const result = [];
-            const combo = Array.from({length: k}, (_,i) => i);
-            function pushCombo(){ result.push(combo.slice()); }
-            if (k > n) return result;
-            pushCombo();
-            while(true){
-                let i = k - 1;
-                while(i >= 0 && combo[i] === n - k + i) i--;
-                if (i < 0) break;
-                combo[i]++;
-                for(let j = i+1; j < k; j++) combo[j] = combo[j-1] + 1;
-                pushCombo();
+    (function wireSimulate(){
+        const form = document.getElementById('simulate-form');
+        const results = document.querySelector('#simulate .simulate-results');
+        if (!form || !results) return;
+        let running = false;
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (running) return;
+            const games = Math.max(1, Math.min(SIMULATE_LIMIT, Math.round(+form.elements.games.value) || 1));
+            form.elements.games.value = String(games);
+            const settings = { geometry, palette: customPalette, handSize, challenge };
+            const strategies = Object.keys(STRATEGIES);
+            const played = strategies.map(() => []);
+            const button = document.getElementById('run-simulation');
+            running = true;
+            if (button) button.disabled = true;
+            let done = 0;
+            function progress(){
+                results.innerHTML = '';
+                const p = document.createElement('p');
+                p.textContent = `Playing game ${Math.floor(done / strategies.length) + 1} of ${games}…`;
+                results.appendChild(p);
             }
-            return result;
-        }
-
-        // helpers for circular arithmetic
-        function mod(n, m){ return ((n % m) + m) % m; }
-
-        // check if indices array are consecutive of length m on hue wheel
-        function isConsecutive(indices, neededLength){
-            // try every possible start index s and check s, s+1..s+neededLength-1 mod 12 are all present
-            const set = new Set(indices.map(x=>mod(x,12)));
-            for(let s=0;s<12;s++){
-                let ok = true;
-                for(let off=0;off<neededLength;off++){
-                    if(!set.has(mod(s+off,12))){ ok = false; break; }
+            // game i is dealt from seed "simulate-<i>", as MonochromeBot.simulate() does
+            function step(){
+                const k = done % strategies.length;
+                played[k].push(simulateGame(strategies[k], `simulate-${Math.floor(done / strategies.length) + 1}`, settings));
+                done++;
+                if (done < games * strategies.length) {
+                    progress();
+                    setTimeout(step, 0);
+                    return;
                 }
-                if(ok) return true;
+                running = false;
+                if (button) button.disabled = false;
+                renderSimulation(strategies.map((strategy, n) => summarize(strategy, played[n])), games);
             }
-            return false;
-        }
+            progress();
+            setTimeout(step, 0);
+        });
+    })();
 
-        // main collection detection
-        function findCollections(){
-            const data = getCardDataArray();
-            const n = data.length;
-            const found = [];
+    // lower-case-and-hyphens version of a name, for file names and CSS custom property names
+    function slugify(text){
+        return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    }
 
-            // utility to record a match: name and involved card ids
-            function record(name, indices){
-                const ids = indices.map(i => data[i].id || `card-${i+1}`);
-                found.push({ name, ids });
-            }
+    // offer text or binary data (an ArrayBuffer) as a file download
+    function downloadFile(filename, data, type){
+        const url = URL.createObjectURL(new Blob([data], { type }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
 
-            // iterate subset sizes 2..5
-            for(let k=2;k<=5;k++){
-                const combs = combinations(n,k);
-                combs.forEach(ci => {
-                    const subset = ci.map(i => data[i]);
-                    const levels = subset.map(s=>s.level);
-                    const allSameLevel = levels.every(l => l !== null && l === levels[0]);
-
-                    // Monochrome checks (hues only)
-                    if(k===3){
-                        // Monochrome Triad: same hue, levels 1,3,5
-                        const allHue = subset.every(s=> !s.isNeutral && s.hueIndex !== -1);
-                        if(allHue){
-                            const hueIdxs = new Set(subset.map(s=>s.hueIndex));
-                            if(hueIdxs.size===1){
-                                const levelSet = new Set(levels);
-                                if(levelSet.has(1) && levelSet.has(3) && levelSet.has(5) && levelSet.size===3){
-                                    record('Monochrome Triad', ci);
-                                }
-                            }
-                        }
-                    }
-
-                    if(k===4){
-                        // Monochrome Tetrad: same hue, 4 consecutive levels (1-4 or 2-5)
-                        const allHue = subset.every(s=> !s.isNeutral && s.hueIndex !== -1);
-                        if(allHue){
-                            const hueIdxs = new Set(subset.map(s=>s.hueIndex));
-                            if(hueIdxs.size===1){
-                                const levelVals = subset.map(s=>s.level).sort((a,b)=>a-b);
-                                const possible = (levelVals.join(',') === '1,2,3,4') || (levelVals.join(',') === '2,3,4,5');
-                                if(possible) record('Monochrome Tetrad', ci);
-                            }
-                        }
-                    }
-
-                    if(k===5){
-                        // Monochrome Value Scale: same hue, levels 1..5
-                        const allHue = subset.every(s=> !s.isNeutral && s.hueIndex !== -1);
-                        if(allHue){
-                            const hueIdxs = new Set(subset.map(s=>s.hueIndex));
-                            if(hueIdxs.size===1){
-                                const levelVals = subset.map(s=>s.level).sort((a,b)=>a-b);
-                                if(levelVals.join(',') === '1,2,3,4,5') record('Monochrome Value Scale', ci);
-                            }
-                        }
-                    }
-
-                    // Grey checks (neutrals only)
-                    const allNeutral = subset.every(s => s.isNeutral);
-                    if(allNeutral){
-                        if(k===3){
-                            const levelSet = new Set(levels);
-                            if(levelSet.has(1) && levelSet.has(3) && levelSet.has(5) && levelSet.size===3){
-                                record('Grey Scale Triad', ci);
-                            }
-                        }
-                        if(k===4){
-                            const levelVals = subset.map(s=>s.level).sort((a,b)=>a-b);
-                            const possible = (levelVals.join(',') === '1,2,3,4') || (levelVals.join(',') === '2,3,4,5');
-                            if(possible) record('Grey Scale Tetrad', ci);
-                        }
-                        if(k===5){
-                            const levelVals = subset.map(s=>s.level).sort((a,b)=>a-b);
-                            if(levelVals.join(',') === '1,2,3,4,5') record('Grey Value Scale', ci);
-                        }
-                    }
-
-                    // Analogous checks: same level, adjacent hues
-                    if(!subset.some(s=>s.isNeutral) && allSameLevel){
-                        const indices = subset.map(s=>s.hueIndex);
-                        if(k===3){ if(isConsecutive(indices,3)) record('Analogous Triad', ci); }
-                        if(k===4){ if(isConsecutive(indices,4)) record('Analogous Tetrad', ci); }
-                        if(k===5){ if(isConsecutive(indices,5)) record('Analogous Scale', ci); }
-                    }
-
-                    // Complementary Duo
-                    if(k===2 && allSameLevel && !subset.some(s=>s.isNeutral)){
-                        const a = subset[0].hueIndex, b = subset[1].hueIndex;
-                        if(mod(a - b,12) === 6) record('Complementary Duo', ci);
-                    }
-
-                    // Split Complementary Triad: any hue with two hues next to its complement (same level)
-                    if(k===3 && allSameLevel && !subset.some(s=>s.isNeutral)){
-                        // try each element as the root hue
-                        const idxs = subset.map(s=>s.hueIndex);
-                        for(const sHue of idxs){
-                            const comp = mod(sHue + 6, 12);
-                            const neighbors = [mod(comp - 1,12), mod(comp + 1,12)];
-                            if(idxs.includes(neighbors[0]) && idxs.includes(neighbors[1])){
-                                record('Split Complementary Triad', ci);
-                                break;
-                            }
-                        }
-                    }
-
-                    // Hue Triad: 3 hues equally spaced (every 4 steps) same level
-                    if(k===3 && allSameLevel && !subset.some(s=>s.isNeutral)){
-                        const idxs = subset.map(s=>s.hueIndex).map(x=>mod(x,12));
-                        // check patterns i, i+4, i+8
-                        for(let s=0;s<12;s++){
-                            if(idxs.includes(s) && idxs.includes(mod(s+4,12)) && idxs.includes(mod(s+8,12))){
-                                record('Hue Triad', ci);
-                                break;
-                            }
-                        }
-                    }
-
-                    // Complementary Tetrad: any 4 hues that are two complements pairs (a,a+6,b,b+6)
-                    if(k===4 && allSameLevel && !subset.some(s=>s.isNeutral)){
-                        const idxs = subset.map(s=>s.hueIndex).map(x=>mod(x,12));
-                        // try all pairs a,b
-                        for(let a=0;a<12;a++){
-                            const bCandidates = idxs.filter(i => i !== a && i !== mod(a+6,12));
-                            if(bCandidates.length===0) continue;
-                            for(const b of bCandidates){
-                                const required = new Set([a, mod(a+6,12), b, mod(b+6,12)]);
-                                const match = idxs.every(i => required.has(i)) && required.size===4;
-                                if(match){ record('Complementary Tetrad', ci); break; }
-                            }
-                        }
-                    }
-                });
-            }
+    // the palette in play, built-in or custom, in the palette file format (hex colours, lightest first)
+    function paletteDefinition(){
+        const L = lightnessLevels.length;
+        const entry = sw => ({ color: rgbToHex(sw.color), label: sw.label });
+        return {
+            format: PALETTE_FORMAT,
+            version: PALETTE_VERSION,
+            name: customPalette ? customPalette.name : `Built-in ${hues.length} × ${L} (${geometry.colorSpace.toUpperCase()})`,
+            hues: hues.map((h, hi) => ({
+                name: customPalette ? customPalette.hues[hi].name : (HUE_NAMES[h] || `${h}°`),
+                values: lightnessLevels.slice().reverse().map(l => entry(swatches.find(sw => sw.hue === h && sw.lightness === l)))
+            })),
+            neutrals: neutralValues.map(v => entry(swatches.find(sw => sw.hue === null && sw.lightness === v)))
+        };
+    }
 
-            return found;
-        }
-
-        // storage helpers for collected collections
-        const STORAGE_KEY = 'collectedCollections_v1';
-        function loadCollected(){
-            try{ return JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]'); }catch(e){ return []; }
-        }
-        function saveCollected(list){ localStorage.setItem(STORAGE_KEY, JSON.stringify(list)); }
-
-        function renderCollectedList(){
-            const container = document.getElementById('collected-collections');
-            if(!container) return;
-            const list = loadCollected();
-            container.innerHTML = '';
-            if(list.length === 0) return;
-            const h = document.createElement('h3');
-            h.textContent = 'Collected Sets';
-            container.appendChild(h);
-            list.forEach(item => {
-                const row = document.createElement('div');
-                row.className = 'collected-item';
-                const meta = document.createElement('div');
-                meta.className = 'meta';
-                const t = new Date(item.ts).toLocaleString();
-                meta.textContent = `${item.name} — ${t}`;
-                // swatch preview area (50px squares)
-                const swatchesWrap = document.createElement('div');
-                swatchesWrap.className = 'swatches';
-                if(Array.isArray(item.swatches) && item.swatches.length){
-                    item.swatches.forEach(s => {
-                        const b = document.createElement('div');
-                        b.className = 'swatch-box';
-                        if(s && s.color) b.style.background = s.color;
-                        if(s && s.label) b.title = s.label;
-                        swatchesWrap.appendChild(b);
-                    });
-                } else {
-                    // fallback: show ids as text if no snapshot available
-                    const ids = document.createElement('div'); ids.className = 'ids';
-                    ids.textContent = item.ids.join(', ');
-                    swatchesWrap.appendChild(ids);
-                }
+    // switch palettes: rebuild the swatches and rules and start a new game with them
+    function usePalette(palette){
+        setCustomPalette(palette);
+        setGeometry(geometry);
+        const field = document.getElementById('seed-input');
+        newGame(field ? field.value : game.getState().seed);
+    }
 
-                row.appendChild(swatchesWrap);
-                row.appendChild(meta);
-                container.appendChild(row);
+    // Palette import / export / reset. The built-in palette exports too, as a starting point for a custom one.
+    (function wirePaletteFile(){
+        const importInput = document.getElementById('palette-import');
+        const exportBtn = document.getElementById('palette-export');
+        const builtinBtn = document.getElementById('palette-builtin');
+        if (importInput) importInput.addEventListener('change', () => {
+            const file = importInput.files && importInput.files[0];
+            importInput.value = '';
+            if (!file) return;
+            file.text().then(text => {
+                let palette;
+                try {
+                    palette = validatePalette(JSON.parse(text));
+                } catch (e) {
+                    const detail = e instanceof SyntaxError ? 'The file is not valid JSON.' : e.message;
+                    showToast({ kind: 'error', title: `Could not load ${file.name}.`, detail });
+                    return;
+                }
+                usePalette(palette);
+                showToast({ title: `Palette loaded: ${palette.name}`, detail: `${palette.hues.length} hue families × ${palette.neutrals.length} levels. A new game has started.` });
             });
-        }
+        });
+        if (exportBtn) exportBtn.addEventListener('click', () => {
+            const definition = paletteDefinition();
+            downloadFile(`${slugify(definition.name) || 'palette'}.json`, JSON.stringify(definition, null, 2) + '\n', 'application/json');
+        });
+        if (builtinBtn) builtinBtn.addEventListener('click', () => {
+            if (!customPalette) return;
+            usePalette(null);
+            showToast({ title: 'Back to the built-in palette', detail: 'A new game has started.' });
+        });
+    })();
 
-        // mark cards as collected by removing their current swatch from circulation,
-        // assigning a fresh swatch from the pool to the card, and clearing the checkbox
-        function markCardsCollected(ids){
-            ids.forEach(id => {
-                const el = document.getElementById(id);
-                if(!el) return;
+    // Puzzles: the level select lists the built-in puzzles and then the player's own, each with its
+    // goal and whether it has been solved. Playing one deals it on its own palette and hand size;
+    // the settings stay as they are for the next New Game.
+    function allPuzzles(){
+        return builtinPuzzles.concat(customPuzzles);
+    }
+    function findPuzzle(id){
+        return allPuzzles().find(p => p.id === id) || null;
+    }
+    // the puzzle after this one in the list, or null
+    function nextPuzzle(id){
+        const list = allPuzzles();
+        const i = list.findIndex(p => p.id === id);
+        return i === -1 ? null : list[i + 1] || null;
+    }
 
-                const swatchEl = el.querySelector('.card-media');
+    // "Split Complementary Triad and 2 × Hue Triad within 6 discards"
+    function goalText(puzzle){
+        const sets = puzzle.goal.map(g => (g.count > 1 ? `${g.count} × ${g.rule}` : g.rule)).join(' and ');
+        return `${sets} within ${puzzle.discards} ${puzzle.discards === 1 ? 'discard' : 'discards'}`;
+    }
 
-                // Remove the current swatch from circulation: mark it as collected permanently.
-                const current = assigned.get(el);
-                if(current) {
-                    collectedPool.push(current);
-                    // remove mapping so it's not considered assigned anymore
-                    assigned.delete(el);
-                }
+    function playPuzzle(puzzle){
+        buildHand(puzzle.hand.length);
+        hideResumePrompt();
+        game.newGame({ puzzle });
+        renderPalette();
+        syncSeedControls();
+    }
+
+    // the puzzle in the file format, for export
+    function puzzleDefinition(puzzle){
+        return Object.assign({ format: PUZZLE_FORMAT, version: PUZZLE_VERSION }, puzzle);
+    }
+
+    // keep a checked puzzle with the player's own, in place of the one with the same id; one without
+    // an id, or with a built-in puzzle's, gets a new one. Returns the puzzle as kept.
+    function saveCustomPuzzle(puzzle){
+        if (!puzzle.id || builtinPuzzles.some(p => p.id === puzzle.id)) {
+            puzzle = Object.assign({}, puzzle, { id: `custom-${Date.now().toString(36)}-${customPuzzles.length + 1}` });
+        }
+        const list = customPuzzles.slice();
+        const i = list.findIndex(p => p.id === puzzle.id);
+        if (i === -1) list.push(puzzle);
+        else list[i] = puzzle;
+        setCustomPuzzles(list);
+        renderPuzzles();
+        return puzzle;
+    }
+
+    function renderPuzzles(){
+        const section = document.getElementById('puzzles');
+        if (!section) return;
+        const progress = loadPuzzleProgress();
+        const puzzles = allPuzzles();
+        const list = section.querySelector('.puzzle-list');
+        list.innerHTML = '';
+        puzzles.forEach(puzzle => {
+            const result = progress[puzzle.id];
+            const li = document.createElement('li');
+            li.className = `puzzle${result ? ' solved' : ''}`;
+            li.innerHTML = '<span class="name"></span><span class="goal"></span><span class="description"></span><span class="state"></span><span class="puzzle-actions"></span>';
+            li.querySelector('.name').textContent = puzzle.name;
+            li.querySelector('.goal').textContent = goalText(puzzle);
+            li.querySelector('.description').textContent = puzzle.description;
+            li.querySelector('.state').textContent = result
+                ? `Solved with ${result.discards} ${result.discards === 1 ? 'discard' : 'discards'}`
+                : 'Not solved yet';
+            // the player's own puzzles can also be edited, exported and deleted
+            const actions = [['play', 'Play']].concat(customPuzzles.includes(puzzle)
+                ? [['edit', 'Edit'], ['export', 'Export JSON'], ['delete', 'Delete']] : []);
+            actions.forEach(([action, text]) => {
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.className = 'control';
+                btn.dataset.action = action;
+                btn.dataset.puzzle = puzzle.id;
+                btn.textContent = text;
+                btn.setAttribute('aria-label', `${text} ${puzzle.name}`);
+                li.querySelector('.puzzle-actions').appendChild(btn);
+            });
+            list.appendChild(li);
+        });
+        const heading = section.querySelector('h2');
+        if (heading) heading.textContent = `Puzzles (${puzzles.filter(p => progress[p.id]).length} of ${puzzles.length} solved)`;
+    }
 
-                // Try to draw a new swatch from the pool to refresh the card. If the pool
-                // is empty, first attempt to refill it from the discarded pool.
-                refillPoolIfEmpty();
-                if(pool.length > 0){
-                    const idx = secureRandInt(pool.length);
-                    const newSw = pool.splice(idx, 1)[0];
-                    assigned.set(el, newSw);
-                    if(swatchEl) applySwatchToElement(swatchEl, newSw);
-                } else {
-                    // no swatches left in pool: clear the visual state
-                    if(swatchEl){
-                        swatchEl.style.background = '';
-                        swatchEl.dataset.label = '';
-                        swatchEl.textContent = '';
-                        swatchEl.style.color = '';
-                    }
+    (function wirePuzzles(){
+        const section = document.getElementById('puzzles');
+        if (!section) return;
+        const importInput = document.getElementById('puzzle-import');
+        const newBtn = document.getElementById('new-puzzle');
+        section.querySelector('.puzzle-list').addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-action]');
+            const puzzle = btn && findPuzzle(btn.dataset.puzzle);
+            if (!puzzle) return;
+            const action = btn.dataset.action;
+            if (action === 'play') playPuzzle(puzzle);
+            else if (action === 'edit') openEditor(puzzle);
+            else if (action === 'export') {
+                downloadFile(`${slugify(puzzle.name) || 'puzzle'}.json`, JSON.stringify(puzzleDefinition(puzzle), null, 2) + '\n', 'application/json');
+            } else if (action === 'delete') {
+                // deleting asks for a second click, as clearing the history does
+                if (!btn.dataset.armed) {
+                    btn.dataset.armed = 'true';
+                    btn.textContent = 'Click Again to Delete';
+                    setTimeout(() => { delete btn.dataset.armed; btn.textContent = 'Delete'; }, 4000);
+                    return;
+                }
+                setCustomPuzzles(customPuzzles.filter(p => p !== puzzle));
+                renderPuzzles();
+                showToast({ title: `Puzzle deleted: ${puzzle.name}` });
+            }
+        });
+        if (importInput) importInput.addEventListener('change', () => {
+            const file = importInput.files && importInput.files[0];
+            importInput.value = '';
+            if (!file) return;
+            file.text().then(text => {
+                let puzzle;
+                try {
+                    puzzle = validatePuzzle(JSON.parse(text));
+                } catch (e) {
+                    const detail = e instanceof SyntaxError ? 'The file is not valid JSON.' : e.message;
+                    showToast({ kind: 'error', title: `Could not load ${file.name}.`, detail });
+                    return;
                 }
+                puzzle = saveCustomPuzzle(puzzle);
+                showToast({ title: `Puzzle added: ${puzzle.name}`, detail: goalText(puzzle) });
+            });
+        });
+        if (newBtn) newBtn.addEventListener('click', () => openEditor(null));
+        renderPuzzles();
+    })();
 
-                // Reset the collect checkbox to empty (unchecked) and enabled so the player
-                // can collect the new swatch later.
-                const input = el.querySelector('input.card-mini.collect');
-                if(input){ input.checked = false; input.disabled = false; input.removeAttribute('aria-disabled'); }
+    // Puzzle editor: the deal is built by picking swatches from the palette grid, each one going to
+    // the hand or to the end of the pool, whichever is chosen; picking it again takes it back out.
+    // A puzzle is made on the built-in palette of the geometry the grid shows. Save keeps it with
+    // the player's own puzzles, and Play tries it out straight away.
+    function editorMessage(text){
+        const el = document.querySelector('#puzzle-editor .editor-error');
+        if (el) el.textContent = text;
+    }
+
+    // show on the palette grid which swatches the draft uses, and where; while the editor is open
+    // the swatches are buttons
+    function markPicks(){
+        const palette = document.getElementById('palette');
+        if (!palette) return;
+        palette.classList.toggle('picking', !!draft);
+        palette.querySelectorAll('.palette-swatch').forEach(item => {
+            const label = item.dataset.label;
+            const inHand = draft ? draft.hand.indexOf(label) : -1;
+            const inPool = draft ? draft.pool.indexOf(label) : -1;
+            const pick = inHand !== -1 ? `Hand ${inHand + 1}` : (inPool !== -1 ? `Pool ${inPool + 1}` : '');
+            item.classList.toggle('picked', !!pick);
+            if (pick) item.dataset.pick = pick;
+            else delete item.dataset.pick;
+            if (draft) {
+                item.tabIndex = 0;
+                item.setAttribute('role', 'button');
+                item.setAttribute('aria-pressed', String(!!pick));
+                item.setAttribute('aria-label', pick ? `${label}, ${pick}` : label);
+            } else {
+                ['tabindex', 'role', 'aria-pressed', 'aria-label'].forEach(name => item.removeAttribute(name));
+            }
+        });
+    }
 
-                // remove any previous collected marker class — the card now has a fresh swatch
-                el.classList.remove('collected');
+    // the draft's hand, pool and goal in the editor form
+    function renderDraft(){
+        const form = document.getElementById('puzzle-editor-form');
+        if (!form || !draft) return;
+        [['hand', '.editor-hand'], ['pool', '.editor-pool']].forEach(([part, selector]) => {
+            const list = form.querySelector(selector);
+            list.innerHTML = '';
+            draft[part].forEach(label => {
+                const sw = swatches.find(s => s.label === label);
+                const li = document.createElement('li');
+                const box = document.createElement('span');
+                box.className = 'swatch-box';
+                if (sw) box.style.background = sw.color;
+                const remove = document.createElement('button');
+                remove.type = 'button';
+                remove.className = 'control';
+                remove.dataset.label = label;
+                remove.textContent = 'Remove';
+                remove.setAttribute('aria-label', `Remove ${label}`);
+                li.append(box, ` ${label} `, remove);
+                list.appendChild(li);
             });
+        });
+        const rows = form.querySelector('.goal-rows');
+        rows.innerHTML = '';
+        draft.goal.forEach((g, i) => {
+            const row = document.createElement('div');
+            row.className = 'goal-row';
+            row.innerHTML = `<label>Collection <select></select></label><label>Times <input type="number" min="1" max="5" step="1"></label>
+                <button type="button" class="control" data-remove-goal="${i}">Remove</button>`;
+            const select = row.querySelector('select');
+            COLLECTION_RULES.forEach(rule => {
+                const option = document.createElement('option');
+                option.value = rule.name;
+                option.textContent = rule.name;
+                select.appendChild(option);
+            });
+            select.value = g.rule;
+            // a rule the palette on the grid doesn't have falls back to the first one
+            g.rule = select.value;
+            const count = row.querySelector('input');
+            count.value = String(g.count);
+            select.addEventListener('change', () => { g.rule = select.value; });
+            count.addEventListener('change', () => { g.count = count.value; });
+            row.querySelector('button').disabled = draft.goal.length === 1;
+            rows.appendChild(row);
+        });
+        markPicks();
+    }
 
-            // update UI counts and re-run validation so the Declare button matches current selection state
-            renderStatus();
-            if(typeof validateSelection === 'function') validateSelection();
+    // pick a swatch for the draft, or take it back out if it is already in the hand or pool
+    function pickSwatch(label){
+        const form = document.getElementById('puzzle-editor-form');
+        if (!draft || !form) return;
+        const part = ['hand', 'pool'].find(k => draft[k].includes(label));
+        if (part) {
+            draft[part] = draft[part].filter(l => l !== label);
+        } else {
+            const target = form.elements.target.value;
+            if (target === 'hand' && draft.hand.length >= MAX_HAND_SIZE) {
+                editorMessage(`The hand is full at ${MAX_HAND_SIZE} cards: pick for the pool, or take a card out first.`);
+                return;
+            }
+            draft[target].push(label);
         }
+        editorMessage('');
+        renderDraft();
+    }
+
+    // the draft as a checked puzzle; throws an Error saying what is wrong
+    function draftPuzzle(){
+        const form = document.getElementById('puzzle-editor-form');
+        const st = game.getState();
+        if (st.palette) throw new Error('Puzzles use the built-in palette: switch back to it in the settings first.');
+        return validatePuzzle({
+            format: PUZZLE_FORMAT,
+            version: PUZZLE_VERSION,
+            id: draft.id,
+            name: form.elements.name.value,
+            description: form.elements.description.value,
+            geometry: st.geometry,
+            hand: draft.hand,
+            pool: draft.pool,
+            goal: draft.goal,
+            discards: form.elements.discards.value
+        });
+    }
+
+    const blankDraft = () => ({ id: '', hand: [], pool: [], goal: [{ rule: COLLECTION_RULES[0].name, count: 1 }] });
+
+    // open the editor on a new puzzle, or on one of the player's own (dealt first, so the grid shows
+    // its palette)
+    function openEditor(puzzle){
+        const section = document.getElementById('puzzle-editor');
+        const form = document.getElementById('puzzle-editor-form');
+        if (!section || !form) return;
+        if (puzzle) playPuzzle(puzzle);
+        draft = puzzle
+            ? { id: puzzle.id, hand: puzzle.hand.slice(), pool: puzzle.pool.slice(), goal: puzzle.goal.map(g => ({ rule: g.rule, count: g.count })) }
+            : blankDraft();
+        form.elements.name.value = puzzle ? puzzle.name : '';
+        form.elements.description.value = puzzle ? puzzle.description : '';
+        form.elements.discards.value = String(puzzle ? puzzle.discards : 5);
+        section.classList.remove('hidden');
+        editorMessage(game.getState().palette ? 'Puzzles use the built-in palette: switch back to it in the settings to build one.' : '');
+        renderDraft();
+        // the swatches are picked from the palette grid, so it has to be on show
+        const palette = document.getElementById('palette');
+        if (palette && palette.classList.contains('hidden')) clickControl('toggle-palette');
+        form.elements.name.focus();
+    }
+
+    function closeEditor(){
+        const section = document.getElementById('puzzle-editor');
+        if (section) section.classList.add('hidden');
+        draft = null;
+        markPicks();
+    }
 
-        // validate current checkbox selection and enable/disable the Declare button
-        function validateSelection(){
-            // get selected data and ids
-            const data = getCardDataArray();
-            const selectedIds = data.map(d => d.id || null).filter(Boolean);
-            // only sizes 2..5 can match any collection
-            if(data.length < 2 || data.length > 5){
-                btn.disabled = true;
-                btn.setAttribute('aria-disabled', 'true');
+    (function wirePuzzleEditor(){
+        const form = document.getElementById('puzzle-editor-form');
+        const grid = document.querySelector('#palette .palette-grid');
+        if (!form || !grid) return;
+        grid.addEventListener('click', (e) => {
+            const item = e.target.closest('.palette-swatch');
+            if (item && draft) pickSwatch(item.dataset.label);
+        });
+        // Enter and Space pick the focused swatch (and don't reach the game's shortcuts)
+        grid.addEventListener('keydown', (e) => {
+            const item = e.target.closest('.palette-swatch');
+            if (!item || !draft || (e.key !== 'Enter' && e.key !== ' ')) return;
+            e.preventDefault();
+            pickSwatch(item.dataset.label);
+        });
+        form.querySelector('.editor-deal').addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-label]');
+            if (btn) pickSwatch(btn.dataset.label);
+        });
+        form.querySelector('.goal-rows').addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-remove-goal]');
+            if (!btn || !draft) return;
+            draft.goal.splice(+btn.dataset.removeGoal, 1);
+            renderDraft();
+        });
+        const addGoal = document.getElementById('add-goal');
+        if (addGoal) addGoal.addEventListener('click', () => {
+            draft.goal.push({ rule: COLLECTION_RULES[0].name, count: 1 });
+            renderDraft();
+        });
+        // each action checks the draft first and says what is wrong with it
+        function withPuzzle(action){
+            let puzzle;
+            try {
+                puzzle = draftPuzzle();
+            } catch (e) {
+                editorMessage(e.message);
                 return;
             }
+            editorMessage('');
+            action(puzzle);
+        }
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            withPuzzle(puzzle => {
+                const saved = saveCustomPuzzle(puzzle);
+                draft.id = saved.id;
+                showToast({ title: `Puzzle saved: ${saved.name}`, detail: goalText(saved) });
+            });
+        });
+        const playBtn = document.getElementById('editor-play');
+        const exportBtn = document.getElementById('editor-export');
+        const clearBtn = document.getElementById('editor-clear');
+        const closeBtn = document.getElementById('close-editor');
+        if (playBtn) playBtn.addEventListener('click', () => withPuzzle(playPuzzle));
+        if (exportBtn) exportBtn.addEventListener('click', () => withPuzzle(puzzle => {
+            downloadFile(`${slugify(puzzle.name) || 'puzzle'}.json`, JSON.stringify(puzzleDefinition(puzzle), null, 2) + '\n', 'application/json');
+        }));
+        if (clearBtn) clearBtn.addEventListener('click', () => {
+            draft = Object.assign(blankDraft(), { id: draft.id });
+            editorMessage('');
+            renderDraft();
+        });
+        if (closeBtn) closeBtn.addEventListener('click', closeEditor);
+    })();
+
+    function renderCollectedList(){
+        // the achievements' per-game progress follows this list
+        renderAchievements();
+        const container = document.getElementById('collected-collections');
+        if(!container) return;
+        const st = game.getState();
+        const list = st.collected;
+        container.innerHTML = '';
+        if(list.length === 0) return;
+        const h = document.createElement('h3');
+        h.textContent = 'Collected Sets';
+        container.appendChild(h);
+        // the whole session, every set in order
+        const session = exportMenu(() => loadCollected(), `monochrome-${slugify(st.seed) || 'session'}-sets`, 'all collected sets');
+        session.classList.add('session-export');
+        container.appendChild(session);
+        list.forEach((item, index) => {
+            const row = document.createElement('div');
+            row.className = 'collected-item';
+            const meta = document.createElement('div');
+            meta.className = 'meta';
+            const t = new Date(item.ts).toLocaleString();
+            const who = st.players.length > 1 ? `${playerName(item.player || 0)} · ` : '';
+            meta.textContent = `${who}${item.name} (+${pointsFor(item)}) — ${t}`;
+            // swatch preview area (50px squares)
+            const swatchesWrap = document.createElement('div');
+            swatchesWrap.className = 'swatches';
+            if(Array.isArray(item.swatches) && item.swatches.length){
+                item.swatches.forEach(s => {
+                    const b = document.createElement('div');
+                    b.className = 'swatch-box';
+                    if(s && s.color) b.style.background = s.color;
+                    if(s && s.label) b.title = s.label;
+                    addColourAids(b, s);
+                    swatchesWrap.appendChild(b);
+                });
+            } else {
+                // fallback: show ids as text if no snapshot available
+                const ids = document.createElement('div'); ids.className = 'ids';
+                ids.textContent = item.ids.join(', ');
+                swatchesWrap.appendChild(ids);
+            }
 
-            // findCollections operates on the currently selected cards (getCardDataArray)
-            const matches = findCollections();
+            row.appendChild(swatchesWrap);
+            row.appendChild(meta);
+            if (Array.isArray(item.swatches) && item.swatches.length) {
+                row.appendChild(exportMenu(() => [item], `monochrome-${index + 1}-${slugify(item.name)}`, item.name));
+            }
+            container.appendChild(row);
+        });
+    }
 
-            // check whether any match exactly equals the selected set (order-independent)
-            const selSorted = selectedIds.slice().sort().join(',');
-            const exact = matches.some(m => (m.ids.slice().sort().join(',') === selSorted) && (m.ids.length === selectedIds.length));
+    // validate current checkbox selection and enable/disable the Declare button
+    function validateSelection(){
+        const btn = document.getElementById('declare-collection');
+        if (!btn) return;
+        const st = game.getState();
+        // the selected cards must form one collection as a whole
+        const exact = playersTurn(st) && game.selection().rule !== null;
 
-            btn.disabled = !exact;
-            btn.setAttribute('aria-disabled', String(!exact));
+        btn.disabled = !exact;
+        btn.setAttribute('aria-disabled', String(!exact));
+    }
+
+    // Notifications: short in-page toasts in an aria-live region instead of blocking alert() dialogs,
+    // so play isn't interrupted and nothing is lost where dialogs are suppressed (iframes, kiosks).
+    // A toast has a title, optional detail text and optional swatches ({color, label}); error toasts
+    // stay up a little longer. At most TOAST_LIMIT are shown, oldest dropped first.
+    const TOAST_LIMIT = 3;
+    const TOAST_MS = { info: 5000, error: 7000 };
+    function showToast({ title, detail = '', swatches: shown = [], kind = 'info' }){
+        const region = document.getElementById('toast-region');
+        if (!region) return;
+        const toast = document.createElement('div');
+        toast.className = `toast ${kind}`;
+        const heading = document.createElement('p');
+        heading.className = 'toast-title';
+        heading.textContent = title;
+        toast.appendChild(heading);
+        if (shown.length) {
+            const list = document.createElement('ul');
+            list.className = 'toast-swatches';
+            shown.forEach(sw => {
+                const item = document.createElement('li');
+                const box = document.createElement('span');
+                box.className = 'swatch-box';
+                box.style.background = sw.color;
+                box.setAttribute('aria-hidden', 'true');
+                item.appendChild(box);
+                item.appendChild(document.createTextNode(sw.label));
+                list.appendChild(item);
+            });
+            toast.appendChild(list);
+        }
+        if (detail) {
+            const p = document.createElement('p');
+            p.className = 'toast-detail';
+            p.textContent = detail;
+            toast.appendChild(p);
         }
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.className = 'toast-close';
+        close.setAttribute('aria-label', 'Dismiss');
+        close.textContent = '×';
+        close.addEventListener('click', () => toast.remove());
+        toast.appendChild(close);
+        region.appendChild(toast);
+        while (region.children.length > TOAST_LIMIT) region.firstElementChild.remove();
+        setTimeout(() => toast.remove(), TOAST_MS[kind] || TOAST_MS.info);
+    }
 
-        // attach listeners to collect checkboxes so we revalidate on every change
-        const collectInputs = Array.from(document.querySelectorAll('input.card-mini.collect'));
-        collectInputs.forEach(inp => inp.addEventListener('change', validateSelection));
+    // Retire animation: the old swatch shrinks away and the card's new one grows in. Skipped when the
+    // player prefers reduced motion.
+    function animateRetire(card, oldSw){
+        const media = card.querySelector('.card-media');
+        if (!media || !media.animate || !oldSw) return;
+        if (window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches) return;
+        media.animate([
+            { background: oldSw.color, transform: 'scale(1)', opacity: 1 },
+            { background: oldSw.color, transform: 'scale(0.6) rotate(-4deg)', opacity: 0, offset: 0.5 },
+            { transform: 'scale(0.9)', opacity: 0, offset: 0.55 },
+            { transform: 'scale(1)', opacity: 1 }
+        ], { duration: 600, easing: 'ease-in-out' });
+    }
+
+    // Declare Collection: evaluate the selected cards and record the matching collection
+    (function wireDeclareCollection(){
+        const btn = document.getElementById('declare-collection');
+        if (!btn) return;
 
         // ensure initial state reflects current selections
         validateSelection();
 
         // when the button is pressed evaluate only selected cards and record matches
         btn.addEventListener('click', () => {
-            const data = getCardDataArray();
-            if(data.length === 0){ alert('No cards selected. Use the Collect checkboxes to select cards to declare.'); return; }
-            const matches = (function(){
-                // reuse existing findCollections logic but operate on the selected data
-                const n = data.length;
-                const found = [];
-                function recordLocal(name, indices){ const ids = indices.map(i => data[i].id || `card-${i+1}`); found.push({name, ids}); }
-                // combinations over selected data
-                function combos(n,k){ return combinations(n,k); }
-                for(let k=2;k<=5;k++){
-                    const combs = combos(n,k);
-                    combs.forEach(ci => {
-                        const subset = ci.map(i => data[i]);
-                        const levels = subset.map(s=>s.level);
-                        const allSameLevel = levels.every(l => l !== null && l === levels[0]);
-                        const allNeutral = subset.every(s => s.isNeutral);
-
-                        if(k===3){
-                            const allHue = subset.every(s=> !s.isNeutral && s.hueIndex !== -1);
-                            if(allHue){
-                                const hueIdxs = new Set(subset.map(s=>s.hueIndex));
-                                if(hueIdxs.size===1){
-                                    const levelSet = new Set(levels);
-                                    if(levelSet.has(1) && levelSet.has(3) && levelSet.has(5) && levelSet.size===3) recordLocal('Monochrome Triad', ci);
-                                }
-                            }
-                        }
-
-                        if(k===4){
-                            const allHue = subset.every(s=> !s.isNeutral && s.hueIndex !== -1);
-                            if(allHue){
-                                const hueIdxs = new Set(subset.map(s=>s.hueIndex));
-                                if(hueIdxs.size===1){
-                                    const levelVals = subset.map(s=>s.level).sort((a,b)=>a-b);
-                                    const possible = (levelVals.join(',') === '1,2,3,4') || (levelVals.join(',') === '2,3,4,5');
-                                    if(possible) recordLocal('Monochrome Tetrad', ci);
-                                }
-                            }
-                        }
-
-                        if(k===5){
-                            const allHue = subset.every(s=> !s.isNeutral && s.hueIndex !== -1);
-                            if(allHue){
-                                const hueIdxs = new Set(subset.map(s=>s.hueIndex));
-                                if(hueIdxs.size===1){
-                                    const levelVals = subset.map(s=>s.level).sort((a,b)=>a-b);
-                                    if(levelVals.join(',') === '1,2,3,4,5') recordLocal('Monochrome Value Scale', ci);
-                                }
-                            }
-                        }
-
-                        if(allNeutral){
-                            if(k===3){ const levelSet = new Set(levels); if(levelSet.has(1)&&levelSet.has(3)&&levelSet.has(5)&&levelSet.size===3) recordLocal('Grey Scale Triad', ci); }
-                            if(k===4){ const levelVals = subset.map(s=>s.level).sort((a,b)=>a-b); const possible = (levelVals.join(',')==='1,2,3,4') || (levelVals.join(',')==='2,3,4,5'); if(possible) recordLocal('Grey Scale Tetrad', ci); }
-                            if(k===5){ const levelVals = subset.map(s=>s.level).sort((a,b)=>a-b); if(levelVals.join(',')==='1,2,3,4,5') recordLocal('Grey Value Scale', ci); }
-                        }
-
-                        if(!subset.some(s=>s.isNeutral) && allSameLevel){
-                            const indices = subset.map(s=>s.hueIndex);
-                            if(k===3){ if(isConsecutive(indices,3)) recordLocal('Analogous Triad', ci); }
-                            if(k===4){ if(isConsecutive(indices,4)) recordLocal('Analogous Tetrad', ci); }
-                            if(k===5){ if(isConsecutive(indices,5)) recordLocal('Analogous Scale', ci); }
-                        }
-
-                        if(k===2 && allSameLevel && !subset.some(s=>s.isNeutral)){
-                            const a = subset[0].hueIndex, b = subset[1].hueIndex; if(mod(a - b,12) === 6) recordLocal('Complementary Duo', ci);
-                        }
-
-                        if(k===3 && allSameLevel && !subset.some(s=>s.isNeutral)){
-                            const idxs = subset.map(s=>s.hueIndex);
-                            for(const sHue of idxs){ const comp = mod(sHue + 6, 12); const neighbors = [mod(comp - 1,12), mod(comp + 1,12)]; if(idxs.includes(neighbors[0]) && idxs.includes(neighbors[1])){ recordLocal('Split Complementary Triad', ci); break; } }
-                        }
-
-                        if(k===3 && allSameLevel && !subset.some(s=>s.isNeutral)){
-                            const idxs = subset.map(s=>s.hueIndex).map(x=>mod(x,12));
-                            for(let s=0;s<12;s++){ if(idxs.includes(s) && idxs.includes(mod(s+4,12)) && idxs.includes(mod(s+8,12))){ recordLocal('Hue Triad', ci); break; } }
-                        }
-
-                        if(k===4 && allSameLevel && !subset.some(s=>s.isNeutral)){
-                            const idxs = subset.map(s=>s.hueIndex).map(x=>mod(x,12));
-                            for(let a=0;a<12;a++){
-                                const bCandidates = idxs.filter(i => i !== a && i !== mod(a+6,12));
-                                if(bCandidates.length===0) continue;
-                                for(const b of bCandidates){ const required = new Set([a, mod(a+6,12), b, mod(b+6,12)]); const match = idxs.every(i => required.has(i)) && required.size===4; if(match){ recordLocal('Complementary Tetrad', ci); break; } }
-                            }
-                        }
-                    });
-                }
-                return found;
-            })();
-
-            if(matches.length === 0){ alert('No valid collections found among the selected cards.'); return; }
-
-            // Deduplicate overlapping matches: for the same exact set of card ids choose one collection rule
-            // Priority: prefer larger/more specific collections (value scales > tetrads > triads > duos)
-            const priority = {
-                'Monochrome Value Scale': 1,
-                'Monochrome Tetrad': 2,
-                'Monochrome Triad': 3,
-                'Grey Value Scale': 1,
-                'Grey Scale Tetrad': 2,
-                'Grey Scale Triad': 3,
-                'Analogous Scale': 1,
-                'Analogous Tetrad': 2,
-                'Analogous Triad': 3,
-                'Complementary Tetrad': 2,
-                'Hue Triad': 3,
-                'Split Complementary Triad': 3,
-                'Complementary Duo': 4
-            };
+            if(!playersTurn(game.getState())) return;
+            const { ids, swatches: picked, rule } = game.selection();
+            if(ids.length === 0){
+                showToast({ kind: 'error', title: 'No cards selected.', detail: 'Use the Collect checkboxes to select cards to declare.' });
+                return;
+            }
+            if(!rule){
+                showToast({ kind: 'error', title: 'No valid collection among the selected cards.', swatches: picked });
+                return;
+            }
+            // the toasts come from the 'declare' event; the retired cards animate to their new swatches
+            game.declare();
+            ids.forEach((id, i) => animateRetire(document.getElementById(id), picked[i]));
+        });
+        // render on load
+        renderCollectedList();
+    })();
 
-            const grouped = Object.create(null);
-            matches.forEach(m => {
-                const key = m.ids.slice().sort().join(',');
-                if(!grouped[key]) grouped[key] = m;
-                else {
-                    const existing = grouped[key];
-                    const pNew = priority[m.name] || 99;
-                    const pExisting = priority[existing.name] || 99;
-                    if(pNew < pExisting) grouped[key] = m;
-                }
-            });
-            const uniqueMatches = Object.values(grouped);
-
-            // load stored collections and add any new ones
-            const stored = loadCollected();
-            let added = 0;
-            uniqueMatches.forEach(m => {
-                // detect duplicate: same name and same ids (order-independent)
-                const idsSorted = m.ids.slice().sort().join(',');
-                const exists = stored.some(s => s.name === m.name && s.ids.slice().sort().join(',') === idsSorted);
-                // capture swatch snapshots (color + label) for rendering later
-                const swSnapshots = m.ids.map(id => {
-                    const el = document.getElementById(id);
-                    if(!el) return null;
-                    const sw = assigned.get(el);
-                    if(!sw) return null;
-                    return { color: sw.color, label: sw.label };
-                });
-                if(!exists){
-                    stored.push({ name: m.name, ids: m.ids, swatches: swSnapshots, ts: Date.now() });
-                    added++;
-                }
-                // mark cards collected in the UI
-                markCardsCollected(m.ids);
+    // remove hint highlights and hide the hint panel
+    function clearHint(){
+        cards.forEach(card => card.classList.remove('hinted', 'hint-discard'));
+        const panel = document.getElementById('hint-panel');
+        if (panel) { panel.classList.add('hidden'); panel.textContent = ''; }
+    }
+
+    // human-friendly card name matching the ARIA labels ("card three")
+    function cardName(card){
+        const i = cards.indexOf(card);
+        return `card ${NUMBER_WORDS[i] || i + 1}`;
+    }
+
+    // Hint: run the collection rules over every card in hand (checked or not) and highlight the
+    // best collection available; if there is none, point at the most useful card to discard.
+    (function wireHint(){
+        const btn = document.getElementById('hint');
+        const panel = document.getElementById('hint-panel');
+        if (!btn || !panel) return;
+
+        btn.addEventListener('click', () => {
+            clearHint();
+            const hint = game.hint();
+            if (!hint) return;
+            const st = game.getState();
+            const hand = st.players[st.currentPlayer].hand;
+            const swatchOf = id => hand.find(c => c.id === id).swatch;
+            const lines = [];
+            if (hint.type === 'collection') {
+                const picked = cards.filter(card => hint.ids.includes(card.id));
+                picked.forEach(card => card.classList.add('hinted'));
+                lines.push(`${hint.name} (+${hint.rule.points}): ${picked.map(card => swatchOf(card.id).label).join(', ')}.`);
+                lines.push(`${hint.name}: ${hint.rule.description}. Tick Collect on ${picked.map(cardName).join(', ')} and declare.`);
+            } else if (hint.type === 'pass') {
+                // hot-seat: the others may still score from their hands, but this one can only pass
+                lines.push(hint.reason === 'nothing-to-draw'
+                    ? 'No collection in hand and nothing left to draw. End the turn to continue.'
+                    : 'No collection in hand and no discards left. End the turn to continue.');
+            } else {
+                const card = document.getElementById(hint.id);
+                card.classList.add('hint-discard');
+                lines.push(`No collection in hand. Best discard: ${hint.swatch.label} (${cardName(card)}).`);
+                lines.push(hint.prospects === 0
+                    ? 'It cannot complete any set with a single draw.'
+                    : `It has the fewest ways to complete a set with a single draw (${hint.prospects} ${hint.prospects === 1 ? 'way' : 'ways'}).`);
+            }
+            panel.innerHTML = '';
+            lines.forEach(line => {
+                const p = document.createElement('p');
+                p.textContent = line;
+                panel.appendChild(p);
             });
-            if(added > 0) saveCollected(stored);
-            renderCollectedList();
+            panel.classList.toggle('hidden', lines.length === 0);
+        });
+    })();
 
-            const lines = uniqueMatches.map(m => `${m.name}: ${m.ids.join(', ')}`);
-            alert((added>0? 'New collections saved:\n' : 'Collections found (already saved or newly found):\n') + lines.join('\n'));
+    // Reordering the hand: the card slots stay put (card one is always first, which keeps the ARIA
+    // labels and hint wording true); what moves is the swatch and its Collect tick. order[i] is the
+    // slot whose contents end up in slot i.
+    function arrangeHand(order){
+        game.arrange(order);
+    }
+
+    // reordering is only for a live hand that is on show and a person's to play
+    function canReorder(){
+        return playersTurn(game.getState());
+    }
+
+    // the swatch in each slot of the hand on the table (null for an empty card)
+    function handSwatches(){
+        const st = game.getState();
+        const p = st.players[st.currentPlayer];
+        return p ? p.hand.map(c => c.swatch) : [];
+    }
+
+    // announce a reorder to screen readers through the hand's live region
+    function announceHand(message){
+        const region = document.getElementById('hand-announcer');
+        if (region) region.textContent = message;
+    }
+
+    // move the swatch in slot `from` to slot `to`, shifting the cards in between along by one
+    function moveCard(from, to){
+        if (!canReorder() || from === to || from < 0 || to < 0 || from >= cards.length || to >= cards.length) return;
+        const order = cards.map((card, i) => i);
+        order.splice(to, 0, order.splice(from, 1)[0]);
+        const sw = handSwatches()[from];
+        arrangeHand(order);
+        announceHand(`${sw ? sw.label : 'Empty card'} moved to position ${to + 1} of ${cards.length}.`);
+    }
+
+    // Sort the hand by hue (around the wheel, neutrals last, lightest first within a hue) or by value
+    // (lightest first, then around the wheel). Empty cards go to the end.
+    const HAND_SORTS = {
+        hue: (a, b) => (a.hue === null) - (b.hue === null) || (a.hue || 0) - (b.hue || 0) || b.lightness - a.lightness,
+        value: (a, b) => b.lightness - a.lightness || (a.hue === null) - (b.hue === null) || (a.hue || 0) - (b.hue || 0)
+    };
+    function sortHand(by){
+        if (!canReorder() || !HAND_SORTS[by]) return;
+        const hand = handSwatches();
+        const order = cards.map((card, i) => i).sort((i, j) => {
+            const a = hand[i];
+            const b = hand[j];
+            if (!a || !b) return !a - !b;
+            return HAND_SORTS[by](a, b);
+        });
+        arrangeHand(order);
+        const labels = handSwatches().filter(Boolean).map(sw => sw.label);
+        announceHand(`Hand sorted by ${by}: ${labels.join(', ')}.`);
+    }
+
+    (function wireHandSort(){
+        document.querySelectorAll('[data-sort-hand]').forEach(btn => {
+            btn.addEventListener('click', () => sortHand(btn.dataset.sortHand));
+        });
+    })();
+
+    // Keyboard: on a focused card, Left/Right (and Home/End) move the focus along the hand, and
+    // with Shift they move the card itself; the focus follows the moved card.
+    (function wireCardKeys(){
+        handRow.addEventListener('keydown', (e) => {
+            const card = e.target;
+            if (!card.classList || !card.classList.contains('card')) return;
+            const from = cards.indexOf(card);
+            const targets = { ArrowLeft: from - 1, ArrowRight: from + 1, Home: 0, End: cards.length - 1 };
+            if (!(e.key in targets) || e.altKey || e.ctrlKey || e.metaKey) return;
+            const to = Math.max(0, Math.min(cards.length - 1, targets[e.key]));
+            e.preventDefault();
+            if (e.shiftKey) moveCard(from, to);
+            cards[to].focus();
+        });
+    })();
+
+    // Pointer drag-and-drop: press on a swatch, drag it over another card and let go to move it there.
+    // Pointer events cover mouse, pen and touch alike.
+    (function wireCardDrag(){
+        let dragged = null;
+
+        function cardAt(x, y){
+            const el = document.elementFromPoint(x, y);
+            const card = el && el.closest('.card');
+            return cards.includes(card) ? card : null;
+        }
+
+        function endDrag(){
+            cards.forEach(card => card.classList.remove('dragging', 'drop-target'));
+            dragged = null;
+        }
+
+        handRow.addEventListener('pointerdown', (e) => {
+            const media = e.target.closest && e.target.closest('.card-media');
+            const card = media && media.closest('.card');
+            if (!card || !handSwatches()[cards.indexOf(card)] || !canReorder() || e.button > 0) return;
+            e.preventDefault();
+            dragged = card;
+            card.classList.add('dragging');
+            if (media.setPointerCapture) media.setPointerCapture(e.pointerId);
+        });
+        handRow.addEventListener('pointermove', (e) => {
+            if (!dragged) return;
+            const over = cardAt(e.clientX, e.clientY);
+            cards.forEach(card => card.classList.toggle('drop-target', card === over && card !== dragged));
+        });
+        handRow.addEventListener('pointerup', (e) => {
+            if (!dragged) return;
+            const from = cards.indexOf(dragged);
+            const over = cardAt(e.clientX, e.clientY);
+            endDrag();
+            if (!over) return;
+            const to = cards.indexOf(over);
+            moveCard(from, to);
+            cards[to].focus();
+        });
+        handRow.addEventListener('pointercancel', endDrag);
+    })();
+
+    // Keyboard play: one table of bindings drives both the key handler and the help overlay. Each
+    // entry has the keys it answers to (KeyboardEvent.key values, letters in lower case), how the help
+    // shows them and what it does; `card` is the card holding the focus, if any. Entries without
+    // keys are handled elsewhere (wireCardKeys, wireUndo) and are only listed in the help.
+    function clickControl(id){
+        const el = document.getElementById(id);
+        if (el && !el.disabled && !el.classList.contains('hidden')) el.click();
+    }
+    const SHORTCUTS = [
+        { label: () => `1–${cards.length}`, description: 'Focus that card',
+            match: key => /^[1-9]$/.test(key) && +key <= cards.length, run: (card, key) => cards[+key - 1].focus() },
+        { label: '← / →', description: 'Focus the previous or next card' },
+        { label: 'Shift + ← / →', description: 'Move the focused card along the hand' },
+        { keys: ['d'], label: 'D', description: 'Discard the focused card',
+            run: card => { const btn = card && card.querySelector('.card-mini.discard'); if (btn && !btn.disabled) btn.click(); } },
+        { keys: ['c', ' '], label: 'C or Space', description: 'Tick or untick Collect on the focused card',
+            run: card => { const input = card && card.querySelector('input.card-mini.collect'); if (input && !input.disabled) input.click(); } },
+        { keys: ['Enter'], label: 'Enter', description: 'Declare the ticked cards', run: () => clickControl('declare-collection') },
+        { keys: ['h'], label: 'H', description: 'Show a hint', run: () => clickControl('hint') },
+        { label: 'Ctrl + Z', description: 'Undo the last discard, Collect tick or declaration' },
+        { label: 'Ctrl + Shift + Z or Ctrl + Y', description: 'Redo what was undone' },
+        { keys: ['e'], label: 'E', description: 'End the turn (challenge mode and hot-seat)', run: () => clickControl('end-turn') },
+        { keys: ['t'], label: 'T', description: 'Pause or resume a timed game', run: () => togglePause() },
+        { keys: ['s'], label: 'S', description: 'Sort the hand by hue', run: () => sortHand('hue') },
+        { keys: ['v'], label: 'V', description: 'Sort the hand by value', run: () => sortHand('value') },
+        { keys: ['p'], label: 'P', description: 'Show or hide the palette', run: () => clickControl('toggle-palette') },
+        { keys: ['?'], label: '?', description: 'Show these shortcuts', run: () => showShortcutHelp() },
+        { label: 'Esc', description: 'Close this list' }
+    ];
+
+    // fill the help overlay's list from SHORTCUTS
+    function renderShortcutHelp(){
+        const list = document.querySelector('#shortcut-help .shortcut-list');
+        if (!list) return;
+        list.innerHTML = '';
+        SHORTCUTS.forEach(shortcut => {
+            const dt = document.createElement('dt');
+            const kbd = document.createElement('kbd');
+            kbd.textContent = typeof shortcut.label === 'function' ? shortcut.label() : shortcut.label;
+            dt.appendChild(kbd);
+            const dd = document.createElement('dd');
+            dd.textContent = shortcut.description;
+            list.appendChild(dt);
+            list.appendChild(dd);
+        });
+    }
+
+    let helpReturnFocus = null; // where the focus goes back to when the overlay closes
+
+    function showShortcutHelp(){
+        const overlay = document.getElementById('shortcut-help');
+        if (!overlay || !overlay.classList.contains('hidden')) return;
+        renderShortcutHelp();
+        helpReturnFocus = document.activeElement;
+        overlay.classList.remove('hidden');
+        const close = document.getElementById('close-shortcut-help');
+        if (close) close.focus();
+    }
+
+    function hideShortcutHelp(){
+        const overlay = document.getElementById('shortcut-help');
+        if (!overlay || overlay.classList.contains('hidden')) return;
+        overlay.classList.add('hidden');
+        if (helpReturnFocus && helpReturnFocus.focus) helpReturnFocus.focus();
+        helpReturnFocus = null;
+    }
+
+    (function wireShortcuts(){
+        const openBtn = document.getElementById('show-shortcuts');
+        const closeBtn = document.getElementById('close-shortcut-help');
+        if (openBtn) openBtn.addEventListener('click', showShortcutHelp);
+        if (closeBtn) closeBtn.addEventListener('click', hideShortcutHelp);
+
+        document.addEventListener('keydown', (e) => {
+            if (e.ctrlKey || e.metaKey || e.altKey || e.defaultPrevented) return;
+            const overlay = document.getElementById('shortcut-help');
+            if (overlay && !overlay.classList.contains('hidden')) {
+                if (e.key === 'Escape') { e.preventDefault(); hideShortcutHelp(); }
+                return;
+            }
+            const target = e.target;
+            const tag = target.tagName;
+            // leave typing in the seed field and the settings form alone
+            if (tag === 'SELECT' || tag === 'TEXTAREA' || (tag === 'INPUT' && target.type !== 'checkbox') || target.isContentEditable) return;
+            // Enter and Space already press a focused button or tick a focused checkbox
+            if ((e.key === 'Enter' || e.key === ' ') && (tag === 'BUTTON' || tag === 'INPUT')) return;
+            const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+            const shortcut = SHORTCUTS.find(s => (s.keys ? s.keys.includes(key) : s.match && s.match(key)));
+            if (!shortcut || !shortcut.run) return;
+            e.preventDefault();
+            shortcut.run(target.closest ? target.closest('.card') : null, key);
         });
-        // render on load
-        renderCollectedList();
     })();
 
     // Toggle palette visibility button
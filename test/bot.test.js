@@ -0,0 +1,111 @@
+// Computer player tests: what each strategy does with a known hand and pool, that its moves are
+// played as chosen, and that whole computer games and simulations run to the end.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createGame } = require('../engine.js');
+const { chooseMove, playMove, simulateGame, simulate } = require('../bot.js');
+const { hue, grey, setup, assertConserved } = require('./helpers.js');
+
+// swatches of the default palette, by hue index or grey level and value level (1 = lightest)
+const probe = createGame();
+const h = (index, level) => hue(probe, index, level);
+const g = level => grey(probe, level);
+
+test.describe('easy', () => {
+    test('declares the set in hand', () => {
+        const game = setup([h(0, 1), h(6, 1), h(4, 3), g(2), h(9, 5)], { bot: 'hard' });
+        const move = chooseMove(game, 'easy');
+        assert.equal(move.type, 'declare');
+        assert.equal(move.name, 'Complementary Duo');
+        assert.deepEqual(move.ids, ['card-1', 'card-2']);
+    });
+
+    test('with no set, discards the card with the fewest hue or value matches', () => {
+        const game = setup([h(0, 1), h(0, 3), h(2, 3), h(5, 3), g(5)], { bot: 'hard' });
+        const move = chooseMove(game, 'easy');
+        assert.equal(move.type, 'discard');
+        assert.equal(move.id, 'card-5');
+        assert.match(move.reason, /Black · V5/);
+    });
+});
+
+test.describe('hard', () => {
+    test('discards for the set it can draw', () => {
+        // only Yellow-Orange · V1 is left, and it makes an Analogous Triad with cards one and two
+        const game = setup([h(0, 1), h(1, 1), h(5, 4), h(8, 2), g(3)], { pool: [h(2, 1)], bot: 'hard' });
+        const move = chooseMove(game, 'hard');
+        assert.equal(move.type, 'discard');
+        assert.equal(move.id, 'card-3');
+        assert.match(move.reason, /worth 3\.0 points on average/);
+        assert.ok(playMove(game, move));
+        const next = chooseMove(game, 'hard');
+        assert.equal(next.type, 'declare');
+        assert.equal(next.name, 'Analogous Triad');
+    });
+
+    test('declares now when no draw can do better', () => {
+        const game = setup([h(0, 1), h(6, 1), h(3, 4), h(9, 2), g(3)], { pool: [h(4, 5)], bot: 'hard' });
+        const move = chooseMove(game, 'hard');
+        assert.equal(move.type, 'declare');
+        assert.equal(move.name, 'Complementary Duo');
+    });
+
+    test('passes up a set in hand when a discard is expected to score more', () => {
+        // drawing Blue-Green · V1 turns the Complementary Duo into a Split Complementary Triad
+        const game = setup([h(0, 1), h(6, 1), h(5, 1), h(9, 4), g(2)], { pool: [h(7, 1)], bot: 'hard' });
+        const move = chooseMove(game, 'hard');
+        assert.equal(move.type, 'discard');
+        assert.equal(move.id, 'card-4');
+        assert.match(move.reason, /more than the 2 of Complementary Duo now/);
+    });
+});
+
+test('a declaration ticks exactly the cards of the set', () => {
+    const game = setup([h(0, 1), h(6, 1), h(4, 3), g(2), h(9, 5)], { bot: 'hard' });
+    game.toggleCollect('card-5', true);
+    assert.ok(playMove(game, chooseMove(game, 'easy')));
+    const st = game.getState();
+    assert.deepEqual(st.collected.map(item => item.name), ['Complementary Duo']);
+    assert.equal(st.players[0].score, 2);
+    assertConserved(game);
+});
+
+test('nothing is chosen while the hand is hidden or the game is over', () => {
+    const game = createGame({ players: 2, bots: [null, 'easy'] });
+    game.newGame({ seed: 'bot' });
+    assert.equal(game.getState().awaitingPlayer, true);
+    assert.equal(chooseMove(game, 'easy'), null);
+    assert.equal(chooseMove(game, 'unknown'), null);
+});
+
+// Two computer players take turns with the hot-seat rules until the game is over, and every swatch
+// stays in exactly one place throughout
+test('computer players play a hot-seat game to the end', () => {
+    const game = createGame({ players: 2, bots: ['easy', 'hard'] });
+    game.newGame({ seed: 'bots' });
+    for (let moves = 0; moves < 2000 && !game.getState().gameOver; moves++) {
+        const st = game.getState();
+        if (st.awaitingPlayer) game.startTurn();
+        else assert.ok(playMove(game, chooseMove(game, st.players[st.currentPlayer].bot)));
+        assertConserved(game);
+    }
+    const st = game.getState();
+    assert.ok(st.gameOver);
+    assert.deepEqual(st.players.map(p => p.name), ['Computer', 'Computer']);
+    assert.ok(st.collected.length > 0);
+});
+
+test('a simulated game is the same every time for a seed', () => {
+    assert.deepEqual(simulateGame('easy', 'seeded', {}), simulateGame('easy', 'seeded', {}));
+});
+
+test('simulate reports the scores of each strategy', () => {
+    const results = simulate({ games: 2, settings: { handSize: 4 } });
+    assert.deepEqual(results.map(r => r.strategy), ['easy', 'hard']);
+    results.forEach(r => {
+        assert.equal(r.games, 2);
+        assert.equal(r.finished, 2);
+        assert.ok(r.worst <= r.average && r.average <= r.best);
+        assert.ok(r.sets > 0);
+    });
+});
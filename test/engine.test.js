@@ -0,0 +1,608 @@
+// Engine tests: every collection rule with hands that match and hands that don't, the hue-wheel
+// wrap-around, neutrals against hues, how swatches move between the pool, the discard pile, the
+// collected pile and the hands, the clocks, and puzzles.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createGame, SAVE_VERSION, validatePuzzle, migrateSnapshot } = require('../engine.js');
+const PUZZLES = require('../puzzles.js');
+const { hue, grey, same, setup, assertConserved } = require('./helpers.js');
+
+// name of the collection a set of swatches forms, or null
+function collectionOf(game, list){
+    const rule = game.matchCollection(list);
+    return rule ? rule.name : null;
+}
+
+test.describe('collection rules', () => {
+    const game = createGame();
+    const g = level => grey(game, level);
+    const h = (index, level) => hue(game, index, level);
+
+    test('Monochrome Value Scale: one hue at every level', () => {
+        assert.equal(collectionOf(game, [1, 2, 3, 4, 5].map(l => h(4, l))), 'Monochrome Value Scale');
+        assert.equal(collectionOf(game, [h(4, 1), h(4, 2), h(4, 3), h(4, 4), h(5, 5)]), null);
+    });
+
+    test('Monochrome Tetrad: one hue at four consecutive levels', () => {
+        assert.equal(collectionOf(game, [2, 3, 4, 5].map(l => h(7, l))), 'Monochrome Tetrad');
+        assert.equal(collectionOf(game, [1, 2, 3, 5].map(l => h(7, l))), null);
+    });
+
+    test('Monochrome Triad: lightest, middle and darkest of one hue', () => {
+        assert.equal(collectionOf(game, [h(0, 5), h(0, 1), h(0, 3)]), 'Monochrome Triad');
+        assert.equal(collectionOf(game, [h(0, 1), h(0, 2), h(0, 5)]), null);
+        assert.equal(collectionOf(game, [h(0, 1), h(1, 3), h(0, 5)]), null);
+    });
+
+    test('Grey Value Scale: every neutral, white to black', () => {
+        assert.equal(collectionOf(game, [1, 2, 3, 4, 5].map(g)), 'Grey Value Scale');
+        assert.equal(collectionOf(game, [g(1), g(2), g(3), g(4), h(0, 5)]), null);
+    });
+
+    test('Grey Scale Tetrad: four neutrals at consecutive levels', () => {
+        assert.equal(collectionOf(game, [2, 3, 4, 5].map(g)), 'Grey Scale Tetrad');
+        assert.equal(collectionOf(game, [1, 2, 4, 5].map(g)), null);
+    });
+
+    test('Grey Scale Triad: white, the middle grey and black', () => {
+        assert.equal(collectionOf(game, [g(1), g(3), g(5)]), 'Grey Scale Triad');
+        assert.equal(collectionOf(game, [g(1), g(2), g(3)]), null);
+    });
+
+    test('Analogous Scale: five neighbouring hues at one level', () => {
+        assert.equal(collectionOf(game, [0, 1, 2, 3, 4].map(i => h(i, 2))), 'Analogous Scale');
+        assert.equal(collectionOf(game, [0, 1, 2, 3, 5].map(i => h(i, 2))), null);
+    });
+
+    test('Analogous Tetrad: four neighbouring hues at one level', () => {
+        assert.equal(collectionOf(game, [3, 4, 5, 6].map(i => h(i, 4))), 'Analogous Tetrad');
+        assert.equal(collectionOf(game, [h(3, 4), h(4, 4), h(5, 4), h(6, 3)]), null);
+    });
+
+    test('Analogous Triad: three neighbouring hues at one level', () => {
+        assert.equal(collectionOf(game, [5, 6, 7].map(i => h(i, 1))), 'Analogous Triad');
+        assert.equal(collectionOf(game, [5, 6, 8].map(i => h(i, 1))), null);
+    });
+
+    test('Complementary Tetrad: two pairs of opposite hues at one level', () => {
+        assert.equal(collectionOf(game, [0, 6, 2, 8].map(i => h(i, 3))), 'Complementary Tetrad');
+        assert.equal(collectionOf(game, [1, 7, 4, 10].map(i => h(i, 3))), 'Complementary Tetrad');
+        // one opposite pair plus two hues that aren't opposite each other
+        assert.equal(collectionOf(game, [0, 6, 1, 8].map(i => h(i, 3))), null);
+        assert.equal(collectionOf(game, [h(0, 3), h(6, 3), h(2, 3), h(8, 2)]), null);
+    });
+
+    test('Hue Triad: three hues a third of the wheel apart at one level', () => {
+        assert.equal(collectionOf(game, [0, 4, 8].map(i => h(i, 5))), 'Hue Triad');
+        assert.equal(collectionOf(game, [0, 4, 9].map(i => h(i, 5))), null);
+    });
+
+    test('Split Complementary Triad: a hue and the two either side of its opposite', () => {
+        assert.equal(collectionOf(game, [0, 5, 7].map(i => h(i, 2))), 'Split Complementary Triad');
+        assert.equal(collectionOf(game, [0, 5, 8].map(i => h(i, 2))), null);
+    });
+
+    test('Complementary Duo: two opposite hues at one level', () => {
+        assert.equal(collectionOf(game, [h(3, 3), h(9, 3)]), 'Complementary Duo');
+        assert.equal(collectionOf(game, [h(3, 3), h(8, 3)]), null);
+        assert.equal(collectionOf(game, [h(3, 3), h(9, 4)]), null);
+    });
+
+    test('every rule in the default palette is covered above', () => {
+        assert.deepEqual(game.palette.rules.map(r => r.name).sort(), [
+            'Analogous Scale', 'Analogous Tetrad', 'Analogous Triad', 'Complementary Duo', 'Complementary Tetrad',
+            'Grey Scale Tetrad', 'Grey Scale Triad', 'Grey Value Scale', 'Hue Triad', 'Monochrome Tetrad',
+            'Monochrome Triad', 'Monochrome Value Scale', 'Split Complementary Triad'
+        ]);
+    });
+
+    test('sets may be in any order', () => {
+        assert.equal(collectionOf(game, [h(8, 2), h(2, 2), h(6, 2), h(0, 2)]), 'Complementary Tetrad');
+        assert.equal(collectionOf(game, [g(5), g(1), g(3)]), 'Grey Scale Triad');
+    });
+});
+
+test.describe('hue wheel wrap-around', () => {
+    const game = createGame();
+    const h = (index, level) => hue(game, index, level);
+
+    test('neighbours run on from hue 11 to hue 0', () => {
+        assert.equal(collectionOf(game, [10, 11, 0].map(i => h(i, 3))), 'Analogous Triad');
+        assert.equal(collectionOf(game, [11, 0, 1].map(i => h(i, 3))), 'Analogous Triad');
+        assert.equal(collectionOf(game, [10, 11, 0, 1].map(i => h(i, 3))), 'Analogous Tetrad');
+        assert.equal(collectionOf(game, [9, 10, 11, 0, 1].map(i => h(i, 3))), 'Analogous Scale');
+    });
+
+    test('the wheel has no gap between the ends', () => {
+        assert.equal(collectionOf(game, [11, 0, 2].map(i => h(i, 3))), null);
+        assert.equal(collectionOf(game, [0, 1, 11, 10, 8].map(i => h(i, 3))), null);
+    });
+
+    test('opposites and triads wrap too', () => {
+        assert.equal(collectionOf(game, [h(9, 1), h(3, 1)]), 'Complementary Duo');
+        assert.equal(collectionOf(game, [11, 3, 7].map(i => h(i, 1))), 'Hue Triad');
+        assert.equal(collectionOf(game, [11, 4, 6].map(i => h(i, 1))), 'Split Complementary Triad');
+        assert.equal(collectionOf(game, [11, 5, 1, 7].map(i => h(i, 1))), 'Complementary Tetrad');
+    });
+
+    test('a 24-hue wheel wraps at hue 23', () => {
+        const wide = createGame({ geometry: { hueCount: 24 } });
+        assert.equal(collectionOf(wide, [22, 23, 0].map(i => hue(wide, i, 2))), 'Analogous Triad');
+        assert.equal(collectionOf(wide, [hue(wide, 20, 2), hue(wide, 8, 2)]), 'Complementary Duo');
+        assert.equal(collectionOf(wide, [hue(wide, 20, 2), hue(wide, 9, 2)]), null);
+    });
+});
+
+test.describe('neutrals and hues', () => {
+    const game = createGame();
+    const g = level => grey(game, level);
+    const h = (index, level) => hue(game, index, level);
+
+    test('neutrals carry no hue and hues no neutral level', () => {
+        assert.deepEqual(game.describeSwatch(g(1)), { isNeutral: true, hueIndex: null, level: 1 });
+        assert.deepEqual(game.describeSwatch(g(5)), { isNeutral: true, hueIndex: null, level: 5 });
+        assert.deepEqual(game.describeSwatch(h(11, 1)), { isNeutral: false, hueIndex: 11, level: 1 });
+    });
+
+    test('a neutral never stands in for a hue', () => {
+        assert.equal(collectionOf(game, [h(0, 1), h(0, 3), g(5)]), null);
+        assert.equal(collectionOf(game, [h(0, 3), g(3)]), null);
+        assert.equal(collectionOf(game, [h(0, 2), h(1, 2), g(2)]), null);
+    });
+
+    test('a hue never stands in for a grey, even at the same level', () => {
+        assert.equal(collectionOf(game, [g(1), g(3), h(0, 5)]), null);
+        assert.equal(collectionOf(game, [g(1), g(2), g(3), h(4, 4)]), null);
+    });
+
+    test('white and black are the ends of the grey scale', () => {
+        assert.equal(grey(game, 1).label, 'White · V1');
+        assert.equal(grey(game, 5).label, 'Black · V5');
+        assert.equal(collectionOf(game, [g(1), g(2), g(3), g(4)]), 'Grey Scale Tetrad');
+    });
+});
+
+test.describe('rule priority', () => {
+    test('a full scale on four levels is a Value Scale, not a Tetrad', () => {
+        const game = createGame({ geometry: { levelCount: 4 } });
+        assert.equal(collectionOf(game, [1, 2, 3, 4].map(l => hue(game, 2, l))), 'Monochrome Value Scale');
+        assert.equal(collectionOf(game, [1, 2, 3, 4].map(l => grey(game, l))), 'Grey Value Scale');
+    });
+
+    test('a full scale on three levels is a Value Scale, not a Triad', () => {
+        const game = createGame({ geometry: { levelCount: 3 } });
+        assert.equal(collectionOf(game, [1, 2, 3].map(l => hue(game, 2, l))), 'Monochrome Value Scale');
+        assert.equal(collectionOf(game, [1, 2, 3].map(l => grey(game, l))), 'Grey Value Scale');
+        // and the tetrads go, since three levels can't hold four in a row
+        assert.ok(!game.palette.rules.some(r => r.name.endsWith('Tetrad') && r.levels));
+    });
+
+    test('on an 8-hue wheel there are no Hue Triads', () => {
+        const game = createGame({ geometry: { hueCount: 8 } });
+        assert.ok(!game.palette.rules.some(r => r.name === 'Hue Triad'));
+        assert.equal(collectionOf(game, [0, 3, 5].map(i => hue(game, i, 2))), 'Split Complementary Triad');
+    });
+
+    test('the hint picks the highest-priority set in hand, then the most points', () => {
+        const probe = createGame();
+        const h = (index, level) => hue(probe, index, level);
+        // hues 0, 5, 6 and 7 hold a Complementary Duo (0, 6), an Analogous Triad (5, 6, 7) and a
+        // Split Complementary Triad (0, 5, 7); the triads outrank the duo and the split scores more
+        const game = setup([h(0, 2), h(6, 2), h(5, 2), h(7, 2), grey(probe, 2)]);
+        const hint = game.hint();
+        assert.equal(hint.type, 'collection');
+        assert.equal(hint.name, 'Split Complementary Triad');
+        assert.deepEqual(hint.ids, ['card-1', 'card-3', 'card-4']);
+    });
+});
+
+test.describe('pools', () => {
+    const probe = createGame();
+    const h = (index, level) => hue(probe, index, level);
+    const hand = () => [h(0, 1), h(6, 1), h(3, 3), grey(probe, 2), h(9, 5)];
+
+    test('a new game deals a hand and leaves the rest in the pool', () => {
+        const game = createGame();
+        game.newGame({ seed: 'deal' });
+        const st = game.getState();
+        assert.equal(st.players[0].hand.length, 5);
+        assert.equal(st.pool.length, 60);
+        assert.equal(st.discardedPool.length + st.collectedPool.length, 0);
+        assertConserved(game);
+    });
+
+    test('the same seed deals the same hand', () => {
+        const deal = seed => {
+            const game = createGame();
+            game.newGame({ seed });
+            return game.getState().players[0].hand.map(c => c.swatch.label);
+        };
+        assert.deepEqual(deal('same'), deal('same'));
+        assert.notDeepEqual(deal('same'), deal('other'));
+    });
+
+    test('a discard sends the swatch to the discard pile and draws from the pool', () => {
+        const game = setup(hand());
+        const drawn = game.discard('card-3');
+        const st = game.getState();
+        assert.ok(drawn);
+        assert.ok(same(st.players[0].hand[2].swatch, drawn));
+        assert.deepEqual(st.discardedPool.map(sw => sw.label), [h(3, 3).label]);
+        assert.equal(st.pool.length, 59);
+        assert.equal(st.players[0].discardCount, 1);
+        assertConserved(game);
+    });
+
+    test('an empty pool is refilled from the discard pile before drawing', () => {
+        const all = probe.palette.swatches;
+        const held = hand();
+        const discarded = all.filter(sw => !held.some(x => same(x, sw))).slice(0, 10);
+        const game = setup(held, { pool: [], discarded });
+        assert.ok(game.discard('card-5'));
+        const st = game.getState();
+        assert.equal(st.pool.length, 9);
+        assert.deepEqual(st.discardedPool.map(sw => sw.label), [h(9, 5).label]);
+        assertConserved(game);
+    });
+
+    test('with nothing left to draw a discard changes nothing', () => {
+        const game = setup(hand(), { pool: [] });
+        const before = game.getState();
+        assert.equal(game.discard('card-3'), null);
+        assert.deepEqual(game.getState(), before);
+    });
+
+    test('a declaration retires the swatches and refills the cards', () => {
+        const game = setup(hand());
+        game.toggleCollect('card-1');
+        game.toggleCollect('card-2');
+        const entry = game.declare();
+        assert.equal(entry.name, 'Complementary Duo');
+        const st = game.getState();
+        assert.deepEqual(st.collectedPool.slice(-2).map(sw => sw.label), [h(0, 1).label, h(6, 1).label]);
+        assert.ok(st.players[0].hand.slice(0, 2).every(c => c.swatch && !c.selected));
+        assert.equal(st.players[0].score, 2);
+        assertConserved(game);
+    });
+
+    test('a declaration with an empty pool draws from the discard pile', () => {
+        const all = probe.palette.swatches;
+        const held = hand();
+        const discarded = all.filter(sw => !held.some(x => same(x, sw))).slice(0, 1);
+        const game = setup(held, { pool: [], discarded });
+        game.toggleCollect('card-1');
+        game.toggleCollect('card-2');
+        assert.ok(game.declare());
+        const st = game.getState();
+        assert.ok(same(st.players[0].hand[0].swatch, discarded[0]) || same(st.players[0].hand[1].swatch, discarded[0]));
+        assert.equal(st.players[0].hand.filter(c => !c.swatch).length, 1);
+        assert.equal(st.discardedPool.length, 0);
+        assertConserved(game);
+    });
+
+    test('a declaration with nothing left to draw leaves empty cards that cannot be ticked', () => {
+        const game = setup(hand(), { pool: [] });
+        game.toggleCollect('card-1');
+        game.toggleCollect('card-2');
+        assert.ok(game.declare());
+        const st = game.getState();
+        assert.deepEqual(st.players[0].hand.slice(0, 2), [
+            { id: 'card-1', swatch: null, selected: false },
+            { id: 'card-2', swatch: null, selected: false }
+        ]);
+        assert.equal(game.toggleCollect('card-1'), null);
+        // the three left form no collection and there is nothing to draw, so the game is over
+        assert.ok(st.gameOver);
+        assertConserved(game);
+    });
+
+    test('sets too big for the hand do not keep the game going', () => {
+        const g = level => grey(probe, level);
+        // the four greys form a Grey Scale Tetrad, but only three ever fit in the hand at once
+        const game = setup([g(1), g(2), g(3)], { pool: [g(4)] });
+        const st = game.getState();
+        assert.ok(st.gameOver);
+        assert.equal(game.hint(), null);
+        assertConserved(game);
+    });
+
+    test('ticked cards that form no collection are not declared', () => {
+        const game = setup(hand());
+        game.toggleCollect('card-1');
+        game.toggleCollect('card-3');
+        assert.equal(game.declare(), null);
+        assert.equal(game.getState().collected.length, 0);
+        assertConserved(game);
+    });
+
+    test('undo puts the swatches back where they were', () => {
+        const game = setup(hand());
+        const before = game.snapshot();
+        game.discard('card-4');
+        game.toggleCollect('card-1');
+        game.toggleCollect('card-2');
+        game.declare();
+        while (game.undo()) { /* step all the way back */ }
+        const after = game.snapshot();
+        for (const key of ['pool', 'discardedPool', 'collectedPool', 'players', 'collected']) {
+            assert.deepEqual(after[key], before[key], key);
+        }
+    });
+});
+
+// Property: whatever is played, every swatch is always in exactly one place, whether in the pool,
+// the discard pile, the collected pile or a hand. Seeded random play over many games, with
+// discards, ticks, declarations, turn ends and undo.
+test('swatches are conserved through random play', () => {
+    let state = 7;
+    const rand = n => {
+        state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+        return (state >>> 8) % n;
+    };
+    for (let round = 0; round < 24; round++) {
+        const game = createGame({
+            handSize: 3 + rand(6),
+            players: 1 + rand(3),
+            challenge: rand(2) ? { enabled: true, budget: 1 + rand(3), scope: rand(2) ? 'turn' : 'game', onDeclare: rand(2) ? 'end' : 'refund' } : null
+        });
+        game.newGame({ seed: `conserve-${round}` });
+        assert.equal(game.palette.swatches.length, 65);
+        for (let step = 0; step < 150 && !game.getState().gameOver; step++) {
+            const st = game.getState();
+            const id = `card-${1 + rand(st.handSize)}`;
+            if (st.awaitingPlayer) game.startTurn();
+            else {
+                const move = rand(10);
+                if (move < 4) game.discard(id);
+                else if (move < 6) game.toggleCollect(id);
+                else if (move < 8) {
+                    const hint = game.hint();
+                    if (hint && hint.type === 'collection') {
+                        st.players[st.currentPlayer].hand.forEach(c => game.toggleCollect(c.id, hint.ids.includes(c.id)));
+                        assert.ok(game.declare());
+                    } else if (!game.endTurn()) game.discard(id);
+                } else if (move < 9) game.undo();
+                else game.redo();
+            }
+            assertConserved(game);
+        }
+    }
+});
+
+test.describe('timed modes', () => {
+    // a new game whose clocks only move when advance() says so; advance() then ticks the game
+    function timedGame(timer, players = 1){
+        let time = 0;
+        const game = createGame({ timer, players, now: () => time });
+        game.newGame({ seed: 'clock' });
+        return { game, now: () => time, advance: ms => { time += ms; return game.tick(); } };
+    }
+
+    test('Time Attack ends the game when the time is up', () => {
+        const { game, advance } = timedGame({ attack: true, minutes: 1 });
+        assert.ok(advance(59000));
+        assert.equal(game.getState().clock.remaining, 1000);
+        assert.equal(advance(1500), false);
+        const st = game.getState();
+        assert.ok(st.gameOver && st.clock.timeUp);
+        assert.equal(st.clock.elapsed, 60000);
+    });
+
+    test('paused time does not count, and nothing can be played while paused', () => {
+        const { game, advance } = timedGame({ attack: true, minutes: 1 });
+        advance(10000);
+        assert.ok(game.pause());
+        assert.equal(game.discard('card-1'), null);
+        assert.equal(game.hint(), null);
+        assert.equal(advance(120000), false);
+        assert.ok(!game.getState().gameOver);
+        assert.ok(game.resume());
+        advance(5000);
+        assert.equal(game.getState().clock.elapsed, 15000);
+    });
+
+    test('the turn clock discards a card when a move takes too long', () => {
+        const { game, advance } = timedGame({ turnClock: true, turnSeconds: 10 });
+        advance(9000);
+        // a move starts the clock again
+        game.discard('card-1');
+        advance(9000);
+        assert.equal(game.getState().clock.timeouts, 0);
+        advance(1000);
+        const st = game.getState();
+        assert.equal(st.clock.timeouts, 1);
+        assert.equal(st.clock.moveElapsed, 0);
+        assert.equal(st.discardedPool.length, 2);
+        assert.equal(st.players[0].discardCount, 2);
+        // the forced discard can't be undone, and neither can anything before it
+        assert.equal(game.history().undo, null);
+        assertConserved(game);
+    });
+
+    test('with turns, the forced discard ends the turn and the clocks wait for the next player', () => {
+        const { game, advance } = timedGame({ turnClock: true, turnSeconds: 5 }, 2);
+        game.startTurn();
+        advance(5000);
+        let st = game.getState();
+        assert.equal(st.currentPlayer, 1);
+        assert.ok(st.awaitingPlayer);
+        assert.equal(advance(60000), false);
+        st = game.getState();
+        assert.equal(st.clock.elapsed, 5000);
+        assert.equal(st.clock.moveRemaining, 5000);
+    });
+
+    test('undo does not wind the clocks back', () => {
+        const { game, advance } = timedGame({ attack: true, minutes: 5 });
+        advance(3000);
+        game.discard('card-1');
+        advance(2000);
+        assert.ok(game.undo());
+        assert.equal(game.getState().clock.elapsed, 5000);
+    });
+
+    test('a declaration records the play time it was made at', () => {
+        const { game, now, advance } = timedGame({ attack: true, minutes: 5 });
+        // follow the hinted discards until a set is in hand
+        let hint = game.hint();
+        for (let i = 0; i < 200 && hint.type === 'discard'; i++) {
+            advance(1000);
+            game.discard(hint.id);
+            hint = game.hint();
+        }
+        assert.equal(hint.type, 'collection');
+        advance(4000);
+        const { elapsed } = game.getState().clock;
+        hint.ids.forEach(id => game.toggleCollect(id, true));
+        const entry = game.declare();
+        assert.equal(entry.elapsed, elapsed);
+        // the timestamps come from the game's time source too
+        assert.equal(entry.ts, now());
+        assert.equal(game.getState().startedAt, 0);
+        assert.equal(game.snapshot().savedAt, now());
+    });
+
+    test('a saved timed game comes back paused with its clocks', () => {
+        const { game, now, advance } = timedGame({ attack: true, minutes: 2 });
+        advance(20000);
+        const restored = createGame({ now });
+        assert.ok(restored.restore(game.snapshot()));
+        const st = restored.getState();
+        assert.ok(st.paused);
+        assert.equal(st.timer.minutes, 2);
+        assert.equal(st.clock.elapsed, 20000);
+        assert.equal(st.clock.remaining, 100000);
+        assert.ok(restored.resume());
+    });
+});
+
+test.describe('puzzles', () => {
+    const labels = cards => cards.map(c => c.swatch.label);
+    // a small puzzle: discarding Green · V1 then Magenta · V2 draws the Cyan · V3 for a Complementary Duo
+    const puzzle = () => ({
+        format: 'monochrome-puzzle',
+        version: 1,
+        id: 'test',
+        name: 'Test',
+        hand: ['Red-Orange · V3', 'Green · V1', 'Violet · V4', 'Neutral · V2', 'Yellow · V5'],
+        pool: ['Magenta · V2', 'Cyan · V3', 'Blue · V1'],
+        goal: [{ rule: 'Complementary Duo' }],
+        discards: 2
+    });
+    function puzzleGame(def = puzzle()){
+        const game = createGame({ handSize: 8, players: 2, timer: { attack: true } });
+        game.newGame({ puzzle: def });
+        return game;
+    }
+
+    test('the deal is the puzzle\'s, drawn in order, and the rest is set aside', () => {
+        const game = puzzleGame();
+        let st = game.getState();
+        assert.deepEqual(labels(st.players[0].hand), puzzle().hand);
+        assert.deepEqual(st.pool.map(sw => sw.label), puzzle().pool);
+        assert.equal(st.setAside.length, 65 - 8);
+        // one player, untimed, with the move limit as a per-game budget
+        assert.equal(st.players.length, 1);
+        assert.equal(st.awaitingPlayer, false);
+        assert.equal(st.clock.remaining, null);
+        assert.deepEqual([st.turnRules.budget, st.turnRules.scope], [2, 'game']);
+        assert.equal(game.discard('card-2').label, 'Magenta · V2');
+        assert.equal(game.discard('card-2').label, 'Cyan · V3');
+        st = game.getState();
+        assert.equal(st.canDiscard, false);
+        assertConserved(game);
+    });
+
+    test('declaring the goal solves the puzzle and ends the game', () => {
+        const game = puzzleGame();
+        let over = null;
+        game.on('gameover', detail => { over = detail; });
+        game.discard('card-2');
+        game.discard('card-2');
+        assert.deepEqual(game.getState().puzzle.goal, [{ rule: 'Complementary Duo', count: 1, collected: 0 }]);
+        game.toggleCollect('card-1', true);
+        game.toggleCollect('card-2', true);
+        assert.ok(game.declare());
+        const st = game.getState();
+        assert.ok(st.gameOver && st.puzzle.solved);
+        assert.deepEqual(st.puzzle.goal, [{ rule: 'Complementary Duo', count: 1, collected: 1 }]);
+        assert.equal(over.solved, true);
+    });
+
+    test('a puzzle whose goal can no longer be met ends unsolved', () => {
+        // with only Blue · V1 left to draw, nothing can be collected once the discards are spent
+        const game = puzzleGame(Object.assign(puzzle(), { pool: ['Blue · V1', 'Magenta · V2'] }));
+        game.discard('card-2');
+        game.discard('card-3');
+        const st = game.getState();
+        assert.ok(st.gameOver);
+        assert.equal(st.puzzle.solved, false);
+    });
+
+    test('an emptied pool comes back from the discard pile in the order it was discarded', () => {
+        // the Complementary Duo in hand keeps the game going
+        const hand = ['Red-Orange · V3', 'Green · V1', 'Violet · V4', 'Neutral · V2', 'Cyan · V3'];
+        const game = puzzleGame(Object.assign(puzzle(), { hand, pool: ['Magenta · V2', 'Blue · V1'], discards: 5 }));
+        ['card-2', 'card-3', 'card-4', 'card-2'].forEach(id => assert.ok(game.discard(id)));
+        assert.deepEqual(labels(game.getState().players[0].hand), ['Red-Orange · V3', 'Violet · V4', 'Blue · V1', 'Green · V1', 'Cyan · V3']);
+    });
+
+    test('a puzzle in progress is saved and restored with its deal and goal', () => {
+        const game = puzzleGame();
+        game.discard('card-2');
+        const restored = createGame();
+        assert.ok(restored.restore(JSON.parse(JSON.stringify(game.snapshot()))));
+        const st = restored.getState();
+        assert.equal(st.puzzle.id, 'test');
+        assert.equal(st.setAside.length, 57);
+        assert.equal(restored.discard('card-2').label, 'Cyan · V3');
+        assertConserved(restored);
+    });
+
+    test('the next game that isn\'t a puzzle is dealt with the player\'s own settings', () => {
+        const game = puzzleGame();
+        assert.equal(game.getState().handSize, 5);
+        game.newGame({ seed: 'after' });
+        const st = game.getState();
+        assert.equal(st.puzzle, null);
+        assert.equal(st.handSize, 8);
+        assert.equal(st.players.length, 2);
+        assert.equal(st.timer.attack, true);
+        assertConserved(game);
+        // and the same after resuming a puzzle
+        const resumed = createGame({ handSize: 3 });
+        assert.ok(resumed.restore(JSON.parse(JSON.stringify(puzzleGame().snapshot()))));
+        resumed.newGame();
+        assert.equal(resumed.getState().handSize, 3);
+        assert.equal(resumed.getState().players[0].hand.length, 3);
+    });
+
+    test('a version 8 save is a random deal with nothing set aside', () => {
+        const snapshot = Object.assign(createGame().snapshot(), { version: 8 });
+        delete snapshot.puzzle;
+        delete snapshot.setAside;
+        const migrated = migrateSnapshot(snapshot);
+        assert.equal(migrated.version, SAVE_VERSION);
+        assert.equal(migrated.puzzle, null);
+        assert.deepEqual(migrated.setAside, []);
+    });
+
+    test('the puzzle file is checked', () => {
+        const broken = changes => () => validatePuzzle(Object.assign(puzzle(), changes));
+        assert.throws(broken({ format: 'monochrome-palette' }), /Unknown format/);
+        assert.throws(broken({ hand: ['Red-Orange · V3', 'Mauve · V1', 'Violet · V4'] }), /"Mauve · V1" is not a swatch/);
+        assert.throws(broken({ pool: ['Green · V1'] }), /Green · V1 appears more than once/);
+        assert.throws(broken({ hand: ['Red-Orange · V3', 'Green · V1'] }), /Deal 3 to 8 cards/);
+        assert.throws(broken({ goal: [] }), /1 to 4 collections/);
+        // the 8-hue wheel has no hue triads
+        assert.throws(broken({ geometry: { hueCount: 8 }, hand: ['Red-Orange · V3', 'Amber · V1', 'Emerald · V2'], pool: [], goal: [{ rule: 'Hue Triad' }] }), /"Hue Triad" is not a collection/);
+        assert.throws(broken({ goal: [{ rule: 'Complementary Duo', count: 6 }] }), /1 to 5 times/);
+        assert.throws(broken({ discards: 0 }), /1 to 30 discards/);
+        assert.deepEqual(validatePuzzle(puzzle()).goal, [{ rule: 'Complementary Duo', count: 1 }]);
+    });
+
+    test('the built-in puzzles are valid, with unique ids', () => {
+        PUZZLES.forEach(p => assert.doesNotThrow(() => validatePuzzle(p), p.id));
+        assert.equal(new Set(PUZZLES.map(p => p.id)).size, PUZZLES.length);
+    });
+});
@@ -0,0 +1,62 @@
+// Fixtures shared by the test files: swatches picked by place on the palette, games put in a known
+// position, and the check that no swatch is lost or doubled.
+const assert = require('node:assert/strict');
+const { createGame, SAVE_VERSION, DEFAULT_CHALLENGE, normalizeGeometry } = require('../engine.js');
+
+// the swatch of hue index `index` at value level `level` (1 = lightest)
+function hue(game, index, level){
+    const { hues, lightnessLevels, swatches } = game.palette;
+    const lightness = lightnessLevels[lightnessLevels.length - level];
+    return swatches.find(sw => sw.hue === hues[index] && sw.lightness === lightness);
+}
+
+// the neutral at value level `level` (1 = white)
+function grey(game, level){
+    const { neutralValues, swatches } = game.palette;
+    return swatches.find(sw => sw.hue === null && sw.lightness === neutralValues[level - 1]);
+}
+
+const same = (a, b) => a.label === b.label;
+
+// Put a game in a known position: `hand` (swatches or null) is the only hand, `pool` and
+// `discarded` the piles (the pool defaults to every other swatch); whatever is left over has
+// been collected. With `bot` the hand is the computer's, playing that strategy. Time stands still,
+// so the state only changes with the moves made.
+function setup(hand, { pool, discarded = [], geometry, challenge = DEFAULT_CHALLENGE, bot = null } = {}){
+    const game = createGame({ geometry, handSize: hand.length, now: () => 0 });
+    const all = game.palette.swatches;
+    const held = hand.filter(Boolean).concat(discarded);
+    pool = pool || all.filter(sw => !held.some(h => same(h, sw)));
+    const collected = all.filter(sw => !held.concat(pool).some(h => same(h, sw)));
+    const restored = game.restore({
+        version: SAVE_VERSION,
+        savedAt: 0,
+        startedAt: 0,
+        seed: 'test',
+        seedState: 1,
+        geometry: normalizeGeometry(geometry),
+        palette: null,
+        challenge,
+        turn: 1,
+        discardsThisTurn: 0,
+        currentPlayer: 0,
+        pool,
+        discardedPool: discarded,
+        collectedPool: collected,
+        players: [{ name: bot ? 'Computer' : 'Player 1', bot, hand, selected: hand.map(() => false), discardsLeft: challenge.budget, discardCount: 0 }],
+        collected: []
+    });
+    assert.ok(restored, 'the position is a valid game');
+    return game;
+}
+
+// every swatch of the palette is in exactly one place
+function assertConserved(game){
+    const st = game.getState();
+    const places = st.pool.concat(st.discardedPool, st.collectedPool, st.setAside,
+        ...st.players.map(p => p.hand.map(c => c.swatch).filter(Boolean)));
+    assert.equal(places.length, game.palette.swatches.length);
+    assert.equal(new Set(places.map(sw => sw.label)).size, places.length);
+}
+
+module.exports = { hue, grey, same, setup, assertConserved };
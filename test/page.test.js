@@ -0,0 +1,344 @@
+// Page tests: index.html with engine.js, bot.js and script.js in jsdom, played through the cards' own
+// controls, checking what the player sees and what is saved.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+const { createGame, SAVE_VERSION, DEFAULT_CHALLENGE, DEFAULT_GEOMETRY } = require('../engine.js');
+const { assertConserved } = require('./helpers.js');
+
+const ROOT = path.join(__dirname, '..');
+
+// the pages loaded so far; closing them stops their clocks so the run can finish
+const windows = [];
+test.after(() => windows.forEach(window => window.close()));
+
+// Load the page with `storage` already in localStorage; the scripts are inlined since jsdom
+// doesn't fetch them from disk. Resolves once DOMContentLoaded has run.
+function loadPage({ query = '', storage = {} } = {}){
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8')
+        .replace(/<link[^>]*>/g, '')
+        .replace(/<script src="([^"]+)"><\/script>/g, (_, file) => `<script>${fs.readFileSync(path.join(ROOT, file), 'utf8')}</script>`);
+    const dom = new JSDOM(html, {
+        url: `http://localhost/index.html${query}`,
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        beforeParse(window){
+            Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, value));
+            // jsdom has no Web Animations
+            window.Element.prototype.animate = () => ({ cancel(){}, finished: Promise.resolve() });
+        }
+    });
+    windows.push(dom.window);
+    return new Promise(resolve => dom.window.addEventListener('load', () => resolve(dom.window)));
+}
+
+const cardsOf = window => [...window.document.querySelectorAll('.hand-row .card')];
+const labels = window => cardsOf(window).map(card => card.querySelector('.card-media').dataset.label);
+// the status pills as "60 Available 0 Discarded …"
+const status = window => [...window.document.querySelectorAll('#pool-status .status-pill')]
+    .map(pill => `${pill.querySelector('.count').textContent} ${pill.lastChild.textContent.trim()}`).join(' ');
+const saved = window => JSON.parse(window.localStorage.getItem('savedGame'));
+
+// resolves once check() holds, polling while the page's timers run; fails after `ms`
+function until(check, ms = 15000){
+    const started = Date.now();
+    return new Promise((resolve, reject) => {
+        (function poll(){
+            if (check()) resolve();
+            else if (Date.now() - started > ms) reject(new Error('timed out'));
+            else setTimeout(poll, 50);
+        })();
+    });
+}
+
+// tick Collect on the given cards (1-based) the way a player does
+function tick(window, ...numbers){
+    numbers.forEach(n => cardsOf(window)[n - 1].querySelector('input.collect').click());
+}
+
+// A saved game to start the page from: the hand holds `hand` (labels, or null for an empty card)
+// and the pool only `poolSize` of the other swatches; the rest have been collected.
+function savedGame(hand, poolSize){
+    const game = createGame();
+    const byLabel = label => game.palette.swatches.find(sw => sw.label === label);
+    const rest = game.palette.swatches.filter(sw => !hand.includes(sw.label));
+    return JSON.stringify({
+        version: SAVE_VERSION,
+        savedAt: Date.now(),
+        startedAt: Date.now(),
+        seed: 'page',
+        seedState: 1,
+        geometry: DEFAULT_GEOMETRY,
+        palette: null,
+        challenge: DEFAULT_CHALLENGE,
+        turn: 1,
+        discardsThisTurn: 0,
+        currentPlayer: 0,
+        pool: rest.slice(0, poolSize),
+        discardedPool: [],
+        collectedPool: rest.slice(poolSize),
+        players: [{ name: 'Player 1', hand: hand.map(label => label && byLabel(label)), selected: hand.map(() => false), discardsLeft: 0, discardCount: 0 }],
+        collected: []
+    });
+}
+
+// the saved game as the engine resumes it, for the checks in helpers.js
+function resumed(snapshot){
+    const game = createGame();
+    assert.ok(game.restore(snapshot), 'the saved game can be resumed');
+    return game;
+}
+
+test('a seeded page deals the same five cards as the engine', async () => {
+    const window = await loadPage({ query: '?seed=page' });
+    const game = createGame();
+    game.newGame({ seed: 'page' });
+    assert.deepEqual(labels(window), game.getState().players[0].hand.map(c => c.swatch.label));
+    assert.match(status(window), /^60 Available 0 Discarded 0 Collected 0 Score/);
+});
+
+test('Discard swaps the swatch and moves the old one to the discard pile', async () => {
+    const window = await loadPage({ query: '?seed=page' });
+    const before = labels(window);
+    cardsOf(window)[1].querySelector('.discard').click();
+    const after = labels(window);
+    assert.notEqual(after[1], before[1]);
+    assert.deepEqual(after.filter((_, i) => i !== 1), before.filter((_, i) => i !== 1));
+    assert.match(status(window), /^59 Available 1 Discarded 0 Collected/);
+    assert.deepEqual(saved(window).discardedPool.map(sw => sw.label), [before[1]]);
+    assertConserved(resumed(saved(window)));
+});
+
+test('an empty pool is refilled from the discard pile', async () => {
+    const window = await loadPage({ storage: { savedGame: savedGame(['Red-Orange · V1', 'Cyan · V1', 'Blue · V3', 'Neutral · V2', 'Yellow · V5'], 1) } });
+    assert.match(status(window), /^1 Available 0 Discarded/);
+    cardsOf(window)[2].querySelector('.discard').click();
+    assert.match(status(window), /^0 Available 1 Discarded/);
+    // the pool is empty now, so this draw takes the swatch discarded above
+    cardsOf(window)[3].querySelector('.discard').click();
+    assert.equal(labels(window)[3], 'Blue · V3');
+    assert.match(status(window), /^0 Available 1 Discarded/);
+    assertConserved(resumed(saved(window)));
+});
+
+test('declaring with nothing left to draw leaves empty cards that cannot be collected', async () => {
+    const window = await loadPage({ storage: { savedGame: savedGame(['Red-Orange · V1', 'Cyan · V1', 'Blue · V3', 'Neutral · V2', 'Green · V3'], 0) } });
+    const declare = window.document.getElementById('declare-collection');
+    assert.ok(declare.disabled);
+    tick(window, 1, 2);
+    assert.ok(!declare.disabled);
+    declare.click();
+    const [first, second] = cardsOf(window);
+    assert.equal(first.getAttribute('aria-label'), 'Card one: empty');
+    assert.equal(second.getAttribute('aria-label'), 'Card two: empty');
+    [first, second].forEach(card => {
+        const input = card.querySelector('input.collect');
+        assert.ok(input.disabled && !input.checked);
+    });
+    assert.match(status(window), /^0 Available 0 Discarded 62 Collected 2 Score/);
+    assert.match(window.document.getElementById('collected-collections').textContent, /Complementary Duo \(\+2\)/);
+    // Blue · V3, Neutral · V2 and Green · V3 make nothing, so the game is over and not saved
+    assert.ok(!window.document.getElementById('game-results').classList.contains('hidden'));
+    assert.equal(window.localStorage.getItem('savedGame'), null);
+});
+
+test('a save that is already over is not resumed', async () => {
+    // the four greys make a Grey Scale Tetrad, which never fits in a three-card hand
+    const snapshot = JSON.parse(savedGame(['White · V1', 'Neutral · V2', 'Neutral · V3'], 0));
+    snapshot.pool = snapshot.collectedPool.filter(sw => sw.label === 'Neutral · V4');
+    snapshot.collectedPool = snapshot.collectedPool.filter(sw => sw.label !== 'Neutral · V4');
+    const window = await loadPage({ storage: { savedGame: JSON.stringify(snapshot) } });
+    assert.equal(cardsOf(window).length, 5);
+    assert.match(status(window), /^60 Available 0 Discarded 0 Collected 0 Score/);
+    assert.equal(window.localStorage.getItem('gameHistory_v1'), null);
+});
+
+test('a resumed game lists the sets already collected, each with its export menu', async () => {
+    const game = createGame();
+    const byLabel = label => game.palette.swatches.find(sw => sw.label === label);
+    const snapshot = JSON.parse(savedGame(['Red-Orange · V1', 'Cyan · V1', 'Blue · V3', 'Neutral · V2', 'Yellow · V5'], 10));
+    snapshot.collected = [{ name: 'Complementary Duo', ids: [], swatches: ['Red-Orange · V3', 'Cyan · V3'].map(byLabel), points: 2, player: 0, ts: 0 }];
+    const window = await loadPage({ storage: { savedGame: JSON.stringify(snapshot) } });
+    const list = window.document.getElementById('collected-collections');
+    assert.match(list.textContent, /Complementary Duo \(\+2\)/);
+    assert.equal(list.querySelectorAll('.collected-item').length, 1);
+    assert.ok(list.querySelector('.session-export'));
+    assert.deepEqual(labels(window), ['Red-Orange · V1', 'Cyan · V1', 'Blue · V3', 'Neutral · V2', 'Yellow · V5']);
+});
+
+test('Collect ticks are saved with the game', async () => {
+    const window = await loadPage({ query: '?seed=page' });
+    tick(window, 1);
+    assert.deepEqual(saved(window).players[0].selected, [true, false, false, false, false]);
+    tick(window, 1);
+    assert.deepEqual(saved(window).players[0].selected, [false, false, false, false, false]);
+});
+
+// Property: whatever the player does through the page, every swatch is always in exactly one
+// place in the saved game. Random discards and hinted declarations over a few seeds.
+test('swatches are conserved through random play on the page', async () => {
+    let state = 11;
+    const rand = n => {
+        state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+        return (state >>> 8) % n;
+    };
+    for (const seed of ['one', 'two', 'three']) {
+        const window = await loadPage({ query: `?seed=${seed}` });
+        const { document } = window;
+        for (let step = 0; step < 60 && document.getElementById('game-results').classList.contains('hidden'); step++) {
+            document.getElementById('hint').click();
+            const hinted = cardsOf(window).filter(card => card.classList.contains('hinted'));
+            if (hinted.length && rand(3)) {
+                cardsOf(window).forEach(card => {
+                    const input = card.querySelector('input.collect');
+                    if (input.checked !== hinted.includes(card)) input.click();
+                });
+                document.getElementById('declare-collection').click();
+            } else {
+                cardsOf(window)[rand(5)].querySelector('.discard').click();
+            }
+            const snapshot = saved(window);
+            if (snapshot) assertConserved(resumed(snapshot));
+        }
+    }
+});
+
+test('the computer opponent plays its turn move by move, with the person locked out', async () => {
+    const window = await loadPage({ query: '?seed=page', storage: { opponent_v1: 'easy' } });
+    const { document } = window;
+    const banner = document.getElementById('turn-banner');
+    const discardable = () => cardsOf(window).some(card => !card.querySelector('.discard').disabled);
+    // the person goes first, straight away: no pass screen with one person at the table
+    await until(() => banner.textContent === "Player 1's turn" && discardable());
+    assert.ok(document.getElementById('pass-screen').classList.contains('hidden'));
+    assert.ok(!document.getElementById('bot-panel').classList.contains('hidden'));
+    document.getElementById('end-turn').click();
+    assert.equal(banner.textContent, "Computer's turn");
+    assert.ok(document.getElementById('pass-screen').classList.contains('hidden'));
+    assert.ok(!discardable());
+    assert.ok(document.getElementById('declare-collection').disabled);
+    assert.ok(document.getElementById('hint').disabled);
+    assert.ok(document.getElementById('end-turn').disabled);
+    assert.ok(cardsOf(window).every(card => card.querySelector('input.collect').disabled));
+    // each move is logged with its reason before the hand comes back to the person
+    await until(() => document.querySelectorAll('#bot-panel .bot-log li').length > 0);
+    assert.match(document.querySelector('#bot-panel .bot-log li').textContent, /^Turn 2: (Declares|Discards|Fills|Ends)/);
+    await until(() => banner.textContent === "Player 1's turn" && discardable());
+    assert.equal(saved(window).players[1].bot, 'easy');
+    assertConserved(resumed(saved(window)));
+});
+
+test("the computer's sets and discards stay out of the person's records and achievements", async () => {
+    const game = createGame();
+    const byLabel = label => game.palette.swatches.find(sw => sw.label === label);
+    const greys = ['White · V1', 'Neutral · V2', 'Neutral · V3', 'Neutral · V4', 'Black · V5'];
+    const snapshot = JSON.parse(savedGame(['Red-Orange · V1', 'Cyan · V1', 'Blue · V3', 'Yellow · V2', 'Green · V4'], 0));
+    snapshot.players.push({ name: 'Computer', bot: 'easy', hand: Array(5).fill(null), selected: Array(5).fill(false), discardsLeft: 0, discardCount: 4 });
+    snapshot.collected = [{ name: 'Grey Value Scale', ids: [], swatches: greys.map(byLabel), points: 10, player: 1, ts: 0 }];
+    const window = await loadPage({ storage: { savedGame: JSON.stringify(snapshot) } });
+    const declare = window.document.getElementById('declare-collection');
+    // one person at the table, so their turn starts without a pass screen
+    await until(() => !window.document.getElementById('hint').disabled);
+    // the person's last set ends the game: the rest of the hand makes nothing and there is nothing to draw
+    tick(window, 1, 2);
+    declare.click();
+    const [record] = JSON.parse(window.localStorage.getItem('gameHistory_v1'));
+    assert.deepEqual(record.collections.map(c => c.name), ['Complementary Duo']);
+    assert.equal(record.discards, 0);
+    const { unlocked } = JSON.parse(window.localStorage.getItem('achievements_v1'));
+    assert.ok(unlocked['no-discards']);
+    assert.ok(!unlocked['all-greys']);
+});
+
+test('the simulator tabulates every strategy', async () => {
+    const window = await loadPage({ query: '?seed=page' });
+    const { document } = window;
+    const form = document.getElementById('simulate-form');
+    form.elements.games.value = '1';
+    document.getElementById('run-simulation').click();
+    await until(() => document.querySelector('#simulate .simulate-table'));
+    const rows = [...document.querySelectorAll('#simulate .simulate-table tbody tr')];
+    assert.deepEqual(rows.map(row => row.cells[0].textContent), ['Easy', 'Hard']);
+    assert.ok(!document.getElementById('run-simulation').disabled);
+});
+
+test('pausing a timed game hides the hand and stops the clock', async () => {
+    const window = await loadPage({ query: '?seed=page', storage: { timedModes_v1: JSON.stringify({ attack: true, minutes: 3 }) } });
+    const { document } = window;
+    const row = document.querySelector('.hand-row');
+    const clock = document.getElementById('clock');
+    assert.ok(!clock.classList.contains('hidden'));
+    assert.match(clock.textContent, /[23]:\d\d/);
+    document.getElementById('pause').click();
+    assert.ok(!document.getElementById('pause-screen').classList.contains('hidden'));
+    assert.ok(row.classList.contains('hidden'));
+    assert.ok(document.getElementById('declare-collection').disabled);
+    assert.ok(document.getElementById('hint').disabled);
+    assert.equal(saved(window).clock.paused, true);
+    document.getElementById('resume').click();
+    assert.ok(document.getElementById('pause-screen').classList.contains('hidden'));
+    assert.ok(!row.classList.contains('hidden'));
+    assert.equal(saved(window).timer.attack, true);
+});
+
+test('a puzzle from the level select is solved through the page and stays solved', async () => {
+    const window = await loadPage({ query: '?seed=page' });
+    const { document } = window;
+    const heading = () => document.querySelector('#puzzles h2').textContent;
+    assert.equal(heading(), 'Puzzles (0 of 5 solved)');
+    document.querySelector('#puzzles button[data-puzzle="opposites-attract"][data-action="play"]').click();
+    assert.deepEqual(labels(window), ['Red-Orange · V3', 'Green · V1', 'Violet · V4', 'Neutral · V2', 'Yellow · V5']);
+    assert.equal(document.getElementById('turn-banner').textContent, 'Puzzle: Opposites Attract');
+    assert.match(status(window), /^5 Available 0 Discarded 0 Collected 0 Score 1 Turn 2\/2 Discards left this game 0\/1 Complementary Duo$/);
+    // the draws come in the puzzle's order
+    cardsOf(window)[1].querySelector('.discard').click();
+    assert.equal(labels(window)[1], 'Magenta · V2');
+    cardsOf(window)[1].querySelector('.discard').click();
+    tick(window, 1, 2);
+    document.getElementById('declare-collection').click();
+    assert.equal(document.querySelector('#game-results h3').textContent, 'Puzzle Solved');
+    assert.deepEqual(Object.keys(JSON.parse(window.localStorage.getItem('puzzleProgress_v1'))), ['opposites-attract']);
+    assert.equal(heading(), 'Puzzles (1 of 5 solved)');
+    assert.equal(document.querySelector('#puzzles .puzzle.solved .state').textContent, 'Solved with 2 discards');
+    // puzzles stay out of the game history, and the settings are left alone
+    assert.equal(window.localStorage.getItem('gameHistory_v1'), null);
+    assert.equal(window.localStorage.getItem('handSize_v1'), null);
+    [...document.querySelectorAll('#game-results button')].find(btn => btn.textContent === 'Next Puzzle: Three Ways Round').click();
+    assert.equal(saved(window).puzzle.id, 'three-ways-round');
+});
+
+test('the editor builds a puzzle from the palette grid', async () => {
+    const window = await loadPage({ query: '?seed=page' });
+    const { document } = window;
+    const form = document.getElementById('puzzle-editor-form');
+    const swatch = label => document.querySelector(`#palette .palette-swatch[data-label="${label}"]`);
+    document.getElementById('new-puzzle').click();
+    assert.ok(!document.getElementById('puzzle-editor').classList.contains('hidden'));
+    ['Red-Orange · V3', 'Green · V1'].forEach(label => swatch(label).click());
+    form.querySelector('input[name="target"][value="pool"]').click();
+    swatch('Cyan · V3').click();
+    assert.equal(swatch('Green · V1').dataset.pick, 'Hand 2');
+    assert.equal(swatch('Cyan · V3').getAttribute('aria-pressed'), 'true');
+    // picking a swatch again takes it back out
+    swatch('Green · V1').click();
+    assert.equal(swatch('Green · V1').dataset.pick, undefined);
+    form.elements.name.value = 'Quick Pair';
+    const rule = form.querySelector('.goal-row select');
+    rule.value = 'Complementary Duo';
+    rule.dispatchEvent(new window.Event('change'));
+    form.querySelector('button[type="submit"]').click();
+    assert.match(form.querySelector('.editor-error').textContent, /Deal 3 to 8 cards to the hand \(found 1\)/);
+    form.querySelector('input[name="target"][value="hand"]').click();
+    ['Violet · V4', 'Neutral · V2'].forEach(label => swatch(label).click());
+    form.querySelector('button[type="submit"]').click();
+    assert.equal(form.querySelector('.editor-error').textContent, '');
+    const [puzzle] = JSON.parse(window.localStorage.getItem('customPuzzles_v1'));
+    assert.deepEqual([puzzle.name, puzzle.hand, puzzle.pool, puzzle.goal], ['Quick Pair', ['Red-Orange · V3', 'Violet · V4', 'Neutral · V2'], ['Cyan · V3'], [{ rule: 'Complementary Duo', count: 1 }]]);
+    assert.equal(document.querySelectorAll('#puzzles .puzzle').length, 6);
+    document.getElementById('close-editor').click();
+    assert.ok(!document.querySelector('#palette .palette-swatch[role="button"]'));
+    document.querySelector(`#puzzles button[data-puzzle="${puzzle.id}"][data-action="play"]`).click();
+    assert.deepEqual(labels(window), puzzle.hand);
+});